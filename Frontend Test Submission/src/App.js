@@ -1,12 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Routes, Route } from 'react-router-dom';
 import { Container, AppBar, Toolbar, Typography, Box } from '@mui/material';
 import LinkIcon from '@mui/icons-material/Link';
 import URLShortener from './components/URLShortener';
 import URLStatistics from './components/URLStatistics';
+import LogViewer from './components/LogViewer';
 import Navigation from './components/Navigation';
+import ApiKeyDialog from './components/ApiKeyDialog';
+import { getApiKey } from './apiKey';
 
 function App() {
+  const [apiKey, setApiKey] = useState(getApiKey());
+
   return (
     <Box sx={{ flexGrow: 1 }}>
       <AppBar position="static" sx={{ mb: 4 }}>
@@ -15,16 +20,21 @@ function App() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             URL Shortener
           </Typography>
+          <ApiKeyDialog onApiKeyChange={setApiKey} />
         </Toolbar>
       </AppBar>
       
       <Container maxWidth="lg">
         <Navigation />
         
-        <Routes>
-          <Route path="/" element={<URLShortener />} />
-          <Route path="/statistics" element={<URLStatistics />} />
-        </Routes>
+        {/* Remount the pages when the API key changes so they refetch as the new caller */}
+        <Box key={apiKey}>
+          <Routes>
+            <Route path="/" element={<URLShortener />} />
+            <Route path="/statistics" element={<URLStatistics />} />
+            <Route path="/logs" element={<LogViewer />} />
+          </Routes>
+        </Box>
       </Container>
     </Box>
   );
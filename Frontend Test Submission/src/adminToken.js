@@ -0,0 +1,18 @@
+const STORAGE_KEY = 'urlShortener.adminToken';
+
+export function getAdminToken() {
+  return localStorage.getItem(STORAGE_KEY) || '';
+}
+
+// Unlike the API key, the admin token is only attached to admin requests
+export function setAdminToken(token) {
+  if (token) {
+    localStorage.setItem(STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+export function adminHeaders() {
+  return { 'X-Admin-Token': getAdminToken() };
+}
@@ -0,0 +1,22 @@
+import axios from 'axios';
+
+const STORAGE_KEY = 'urlShortener.apiKey';
+
+export function getApiKey() {
+  return localStorage.getItem(STORAGE_KEY) || '';
+}
+
+// Persist the key and attach it to every subsequent axios request
+export function setApiKey(key) {
+  if (key) {
+    localStorage.setItem(STORAGE_KEY, key);
+    axios.defaults.headers.common['X-API-Key'] = key;
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+    delete axios.defaults.headers.common['X-API-Key'];
+  }
+}
+
+export function applyStoredApiKey() {
+  setApiKey(getApiKey());
+}
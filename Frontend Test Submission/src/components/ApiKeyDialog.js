@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Typography,
+  Alert,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { VpnKey as KeyIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { getApiKey, setApiKey } from '../apiKey';
+
+function ApiKeyDialog({ onApiKeyChange }) {
+  const [open, setOpen] = useState(false);
+  const [key, setKey] = useState(getApiKey());
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleOpen = () => {
+    setKey(getApiKey());
+    setError('');
+    setOpen(true);
+  };
+
+  const handleSave = async () => {
+    const trimmedKey = key.trim();
+    setError('');
+    setSaving(true);
+
+    try {
+      // Verify the key before storing it
+      await axios.get('/api/account', { headers: { 'X-API-Key': trimmedKey } });
+      setApiKey(trimmedKey);
+      onApiKeyChange(trimmedKey);
+      setOpen(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to verify API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = () => {
+    setApiKey('');
+    onApiKeyChange('');
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <Tooltip title={getApiKey() ? 'API key set' : 'Set API key'}>
+        <IconButton color="inherit" onClick={handleOpen}>
+          <KeyIcon />
+        </IconButton>
+      </Tooltip>
+
+      <Dialog open={open} onClose={() => setOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>API Key</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Paste the API key issued for your account. Links you create are owned by the account
+            and count against its quota. Without a key, links are tied to your IP address.
+          </Typography>
+          <TextField
+            fullWidth
+            label="API Key"
+            placeholder="usk_..."
+            value={key}
+            onChange={(event) => setKey(event.target.value)}
+            type="password"
+            autoComplete="off"
+          />
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClear} color="error" disabled={!getApiKey()}>
+            Remove Key
+          </Button>
+          <Button onClick={() => setOpen(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} variant="contained" disabled={saving || !key.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default ApiKeyDialog;
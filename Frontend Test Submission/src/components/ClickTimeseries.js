@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import axios from 'axios';
+
+const CHART_HEIGHT = 220;
+const AXIS_WIDTH = 40;
+const AXIS_HEIGHT = 24;
+
+const intervalOptions = [
+  { value: 'minute', label: 'Last hour' },
+  { value: 'hour', label: 'Last 24 hours' },
+  { value: 'day', label: 'Last 30 days' }
+];
+
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function formatBucket(start, interval) {
+  const date = new Date(start);
+  if (interval === 'day') {
+    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+  return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+// Bar chart of click counts per bucket, drawn as plain SVG
+function BarChart({ buckets, interval }) {
+  const theme = useTheme();
+  const width = 800;
+  const plotWidth = width - AXIS_WIDTH;
+  const plotHeight = CHART_HEIGHT - AXIS_HEIGHT;
+  const maxCount = Math.max(1, ...buckets.map(bucket => bucket.count));
+  const barWidth = plotWidth / buckets.length;
+  const labelEvery = Math.ceil(buckets.length / 8);
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${CHART_HEIGHT}`}
+      width="100%"
+      role="img"
+      aria-label="Clicks over time"
+    >
+      <text x={AXIS_WIDTH - 6} y={10} textAnchor="end" fontSize="11" fill={theme.palette.text.secondary}>
+        {maxCount}
+      </text>
+      <text x={AXIS_WIDTH - 6} y={plotHeight} textAnchor="end" fontSize="11" fill={theme.palette.text.secondary}>
+        0
+      </text>
+      <line
+        x1={AXIS_WIDTH}
+        y1={plotHeight}
+        x2={width}
+        y2={plotHeight}
+        stroke={theme.palette.divider}
+      />
+      {buckets.map((bucket, index) => {
+        const barHeight = (bucket.count / maxCount) * (plotHeight - 8);
+        const x = AXIS_WIDTH + index * barWidth;
+        return (
+          <g key={bucket.start}>
+            <rect
+              x={x + barWidth * 0.1}
+              y={plotHeight - barHeight}
+              width={Math.max(barWidth * 0.8, 1)}
+              height={barHeight}
+              fill={theme.palette.primary.main}
+            >
+              <title>{`${new Date(bucket.start).toLocaleString()}: ${bucket.count} click${bucket.count === 1 ? '' : 's'}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text
+                x={x + barWidth / 2}
+                y={CHART_HEIGHT - 6}
+                textAnchor="middle"
+                fontSize="11"
+                fill={theme.palette.text.secondary}
+              >
+                {formatBucket(bucket.start, interval)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function ClickTimeseries({ urls }) {
+  const [shortCode, setShortCode] = useState('');
+  const [interval, setBucketInterval] = useState('hour');
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchSeries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const path = shortCode ? `/api/analytics/${shortCode}/timeseries` : '/api/analytics/timeseries';
+      const response = await axios.get(path, { params: { interval, timezone: timeZone } });
+
+      if (response.data.success) {
+        setSeries(response.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch click history');
+    } finally {
+      setLoading(false);
+    }
+  }, [shortCode, interval]);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [fetchSeries]);
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Clicks Over Time
+        </Typography>
+
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel>Link</InputLabel>
+          <Select
+            value={shortCode}
+            label="Link"
+            onChange={(event) => setShortCode(event.target.value)}
+          >
+            <MenuItem value="">All links</MenuItem>
+            {urls.map(url => (
+              <MenuItem key={url.shortCode} value={url.shortCode}>
+                {url.shortCode}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <ToggleButtonGroup
+          value={interval}
+          exclusive
+          size="small"
+          onChange={(event, value) => value && setBucketInterval(value)}
+        >
+          {intervalOptions.map(option => (
+            <ToggleButton key={option.value} value={option.value}>
+              {option.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      {error && (
+        <Alert severity="error">
+          {error}
+        </Alert>
+      )}
+
+      {loading && !series ? (
+        <Box display="flex" justifyContent="center" alignItems="center" height={CHART_HEIGHT}>
+          <CircularProgress />
+        </Box>
+      ) : series && (
+        <>
+          <BarChart buckets={series.buckets} interval={series.interval} />
+          <Typography variant="caption" color="text.secondary">
+            {series.totalClicks} click{series.totalClicks === 1 ? '' : 's'} in this period ({series.timezone})
+          </Typography>
+        </>
+      )}
+    </Paper>
+  );
+}
+
+export default ClickTimeseries;
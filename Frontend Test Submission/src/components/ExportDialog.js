@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Typography
+} from '@mui/material';
+import { downloadFile } from '../download';
+
+const formats = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'ndjson', label: 'NDJSON (one JSON object per line)' }
+];
+
+// Download all links, or the clicks of one link when `shortCode` is set
+function ExportDialog({ open, shortCode, onClose }) {
+  const [format, setFormat] = useState('csv');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setError('');
+
+    if (from && to && new Date(from) > new Date(to)) {
+      setError('The start of the range must be before its end');
+      return;
+    }
+
+    // datetime-local values are in the browser's timezone; send them as absolute instants
+    const params = { format };
+    if (from) {
+      params.from = new Date(from).toISOString();
+    }
+    if (to) {
+      params.to = new Date(to).toISOString();
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const baseName = shortCode ? `clicks-${shortCode}-${date}` : `urls-${date}`;
+    const url = shortCode ? `/api/export/analytics/${shortCode}` : '/api/export/urls';
+
+    setExporting(true);
+    try {
+      await downloadFile(url, params, `${baseName}.${format}`);
+      onClose();
+    } catch (err) {
+      setError('Export failed, please try again');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{shortCode ? `Export clicks of ${shortCode}` : 'Export all links'}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {shortCode
+            ? 'One row per click in the selected range.'
+            : 'One row per link, with click counts for the selected range.'}
+        </Typography>
+        <FormControl fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Format</InputLabel>
+          <Select
+            value={format}
+            label="Format"
+            onChange={(event) => setFormat(event.target.value)}
+          >
+            {formats.map(option => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          fullWidth
+          type="datetime-local"
+          label="Clicks from (Optional)"
+          value={from}
+          onChange={(event) => setFrom(event.target.value)}
+          InputLabelProps={{ shrink: true }}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          type="datetime-local"
+          label="Clicks until (Optional)"
+          value={to}
+          onChange={(event) => setTo(event.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleExport} variant="contained" disabled={exporting}>
+          {exporting ? 'Exporting...' : 'Export'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ExportDialog;
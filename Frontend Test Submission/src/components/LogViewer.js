@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+  Alert,
+  Button,
+  TextField,
+  Grid,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  LinearProgress,
+  Tooltip
+} from '@mui/material';
+import { Search as SearchIcon, Clear as ClearIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { getAdminToken, setAdminToken, adminHeaders } from '../adminToken';
+
+const TAIL_INTERVAL_MS = 3000;
+
+const emptyFilters = { from: '', to: '', level: '', package: '', stack: '', requestId: '', q: '' };
+
+const levelColors = {
+  ERROR: 'error',
+  WARN: 'warning',
+  INFO: 'info',
+  DEBUG: 'default'
+};
+
+function LogViewer() {
+  const [tokenInput, setTokenInput] = useState(getAdminToken());
+  const [adminToken, setAdminTokenState] = useState(getAdminToken());
+  // Filters being edited, and the ones the table currently shows
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [liveTail, setLiveTail] = useState(false);
+
+  const fetchLogs = useCallback(async () => {
+    if (!adminToken) {
+      return;
+    }
+
+    const params = { page: page + 1, limit: rowsPerPage };
+    Object.entries(appliedFilters).forEach(([key, value]) => {
+      if (value) {
+        params[key] = value;
+      }
+    });
+    // datetime-local values are in the browser's timezone; send them as absolute instants
+    if (params.from) {
+      params.from = new Date(params.from).toISOString();
+    }
+    if (params.to) {
+      params.to = new Date(params.to).toISOString();
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/logs', { params, headers: adminHeaders() });
+      if (response.data.success) {
+        setLogs(response.data.data);
+        setTotal(response.data.pagination.total);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [adminToken, appliedFilters, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  // Live tail: keep re-reading the newest entries
+  useEffect(() => {
+    if (!liveTail) {
+      return undefined;
+    }
+    const timer = setInterval(fetchLogs, TAIL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [liveTail, fetchLogs]);
+
+  const handleSaveToken = () => {
+    const trimmedToken = tokenInput.trim();
+    setAdminToken(trimmedToken);
+    setAdminTokenState(trimmedToken);
+  };
+
+  const handleFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const applyFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    setAppliedFilters(nextFilters);
+    setPage(0);
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    if (filters.from && filters.to && new Date(filters.from) > new Date(filters.to)) {
+      setError('The start of the range must be before its end');
+      return;
+    }
+    applyFilters(filters);
+  };
+
+  const handleLiveTailChange = (event) => {
+    setLiveTail(event.target.checked);
+    if (event.target.checked) {
+      setPage(0);
+    }
+  };
+
+  // Tailing only makes sense on the newest page
+  const handleChangePage = (event, newPage) => {
+    setPage(newPage);
+    if (newPage !== 0) {
+      setLiveTail(false);
+    }
+  };
+
+  const handleChangeRowsPerPage = (event) => {
+    setRowsPerPage(parseInt(event.target.value, 10));
+    setPage(0);
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleString();
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom align="center">
+        Logs
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" align="center" sx={{ mb: 4 }}>
+        Search the server's log files, including rotated ones, or follow new entries as they are written.
+      </Typography>
+
+      <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+        <Box display="flex" gap={2} alignItems="center">
+          <TextField
+            fullWidth
+            size="small"
+            type="password"
+            label="Admin token"
+            value={tokenInput}
+            onChange={(event) => setTokenInput(event.target.value)}
+            helperText="Log search is an admin endpoint (X-Admin-Token)"
+          />
+          <Button variant="outlined" onClick={handleSaveToken} sx={{ mb: 2.5 }}>
+            Save
+          </Button>
+        </Box>
+
+        <Box component="form" onSubmit={handleSearch} sx={{ mt: 2 }}>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="datetime-local"
+                label="From"
+                name="from"
+                value={filters.from}
+                onChange={handleFilterChange}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="datetime-local"
+                label="To"
+                name="to"
+                value={filters.to}
+                onChange={handleFilterChange}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={2}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Level</InputLabel>
+                <Select name="level" value={filters.level} label="Level" onChange={handleFilterChange}>
+                  <MenuItem value="">All</MenuItem>
+                  {Object.keys(levelColors).map(level => (
+                    <MenuItem key={level} value={level}>{level}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={6} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Package"
+                name="package"
+                value={filters.package}
+                onChange={handleFilterChange}
+                placeholder="url-shortener"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={2}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Stack"
+                name="stack"
+                value={filters.stack}
+                onChange={handleFilterChange}
+                placeholder="url-access"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={4}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Request ID"
+                name="requestId"
+                value={filters.requestId}
+                onChange={handleFilterChange}
+              />
+            </Grid>
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Message contains"
+                name="q"
+                value={filters.q}
+                onChange={handleFilterChange}
+              />
+            </Grid>
+          </Grid>
+
+          <Box display="flex" alignItems="center" gap={2} sx={{ mt: 2 }}>
+            <Button type="submit" variant="contained" startIcon={<SearchIcon />} disabled={!adminToken}>
+              Search
+            </Button>
+            <Button startIcon={<ClearIcon />} onClick={() => applyFilters(emptyFilters)}>
+              Clear filters
+            </Button>
+            <FormControlLabel
+              control={<Switch checked={liveTail} onChange={handleLiveTailChange} disabled={!adminToken} />}
+              label="Live tail"
+              sx={{ ml: 'auto' }}
+            />
+          </Box>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {!adminToken ? (
+        <Paper elevation={3} sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h6" color="text.secondary">
+            Enter the admin token to search the logs
+          </Typography>
+        </Paper>
+      ) : (
+        <Paper elevation={3}>
+          {loading && !liveTail && <LinearProgress />}
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Time</strong></TableCell>
+                  <TableCell><strong>Level</strong></TableCell>
+                  <TableCell><strong>Package</strong></TableCell>
+                  <TableCell><strong>Stack</strong></TableCell>
+                  <TableCell><strong>Message</strong></TableCell>
+                  <TableCell><strong>Request</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {logs.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">
+                      <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                        No log entries match these filters
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : logs.map((entry, index) => (
+                  <TableRow key={`${entry.timestamp}-${index}`}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(entry.timestamp)}</TableCell>
+                    <TableCell>
+                      <Chip label={entry.level} color={levelColors[entry.level] || 'default'} size="small" />
+                    </TableCell>
+                    <TableCell>{entry.package}</TableCell>
+                    <TableCell>{entry.stack}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                      {entry.message}
+                    </TableCell>
+                    <TableCell>
+                      {entry.requestId && (
+                        <Tooltip title="Show every entry of this request">
+                          <Chip
+                            label={entry.requestId.slice(0, 8)}
+                            size="small"
+                            variant="outlined"
+                            onClick={() => applyFilters({ ...emptyFilters, requestId: entry.requestId })}
+                          />
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={handleChangePage}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={handleChangeRowsPerPage}
+            rowsPerPageOptions={[25, 50, 100, 200]}
+          />
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default LogViewer;
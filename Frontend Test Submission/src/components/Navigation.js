@@ -3,6 +3,7 @@ import { Tabs, Tab, Box } from '@mui/material';
 import { Link as RouterLink, useLocation } from 'react-router-dom';
 import LinkIcon from '@mui/icons-material/Link';
 import BarChartIcon from '@mui/icons-material/BarChart';
+import ListAltIcon from '@mui/icons-material/ListAlt';
 
 function Navigation() {
   const location = useLocation();
@@ -25,6 +26,13 @@ function Navigation() {
           component={RouterLink}
           to="/statistics"
         />
+        <Tab
+          icon={<ListAltIcon />}
+          label="Logs"
+          value="/logs"
+          component={RouterLink}
+          to="/logs"
+        />
       </Tabs>
     </Box>
   );
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Grid
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { downloadFile } from '../download';
+
+const sizes = [256, 512, 1024];
+
+const levels = [
+  { value: 'L', label: 'Low (7%)' },
+  { value: 'M', label: 'Medium (15%)' },
+  { value: 'Q', label: 'Quartile (25%)' },
+  { value: 'H', label: 'High (30%)' }
+];
+
+export function qrCodeUrl(shortCode, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  return `/api/qr/${encodeURIComponent(shortCode)}${query ? `?${query}` : ''}`;
+}
+
+// QR code preview for a short link with PNG/SVG downloads
+function QrCodeDialog({ shortCode, onClose }) {
+  const [size, setSize] = useState(512);
+  const [level, setLevel] = useState('M');
+  const [error, setError] = useState('');
+
+  const handleDownload = async (format) => {
+    setError('');
+    try {
+      await downloadFile(qrCodeUrl(shortCode), { format, size, level }, `qr-${shortCode}.${format}`);
+    } catch (err) {
+      setError('Failed to download QR code');
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(shortCode)} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>QR code for {shortCode}</DialogTitle>
+      <DialogContent>
+        <Box display="flex" justifyContent="center" sx={{ mb: 2 }}>
+          {shortCode && (
+            <img
+              src={qrCodeUrl(shortCode, { format: 'svg', level })}
+              alt={`QR code for ${shortCode}`}
+              width={240}
+              height={240}
+            />
+          )}
+        </Box>
+        <Grid container spacing={2}>
+          <Grid item xs={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Size</InputLabel>
+              <Select value={size} label="Size" onChange={(event) => setSize(event.target.value)}>
+                {sizes.map(option => (
+                  <MenuItem key={option} value={option}>{option} px</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Error correction</InputLabel>
+              <Select value={level} label="Error correction" onChange={(event) => setLevel(event.target.value)}>
+                {levels.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button startIcon={<DownloadIcon />} onClick={() => handleDownload('png')}>
+          PNG
+        </Button>
+        <Button startIcon={<DownloadIcon />} onClick={() => handleDownload('svg')}>
+          SVG
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default QrCodeDialog;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+  Grid,
+  LinearProgress
+} from '@mui/material';
+import axios from 'axios';
+
+const sections = [
+  { key: 'referrers', title: 'Referrers' },
+  { key: 'utmSources', title: 'Campaign sources' },
+  { key: 'utmMediums', title: 'Campaign mediums' },
+  { key: 'utmCampaigns', title: 'Campaigns' }
+];
+
+// Ranked list of counts with a bar relative to the largest entry
+function CountList({ title, counts }) {
+  const entries = Object.entries(counts || {}).sort((a, b) => b[1] - a[1]);
+  const max = entries.length > 0 ? entries[0][1] : 0;
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        {title}
+      </Typography>
+      {entries.length === 0 ? (
+        <Typography variant="caption" color="text.secondary">
+          No data yet
+        </Typography>
+      ) : (
+        entries.map(([label, count]) => (
+          <Box key={label} sx={{ mb: 1 }}>
+            <Box display="flex" justifyContent="space-between">
+              <Typography variant="body2" noWrap title={label} sx={{ mr: 1 }}>
+                {label}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {count}
+              </Typography>
+            </Box>
+            <LinearProgress variant="determinate" value={(count / max) * 100} />
+          </Box>
+        ))
+      )}
+    </Box>
+  );
+}
+
+function TrafficSources({ shortCode, onClose }) {
+  const [breakdown, setBreakdown] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!shortCode) {
+      return;
+    }
+
+    setBreakdown(null);
+    setError('');
+    axios.get(`/api/analytics/${shortCode}`)
+      .then(response => setBreakdown(response.data.data.breakdown))
+      .catch(err => setError(err.response?.data?.error || 'Failed to load traffic sources'));
+  }, [shortCode]);
+
+  return (
+    <Dialog open={Boolean(shortCode)} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Traffic sources for {shortCode}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error">{error}</Alert>
+        )}
+        {!error && !breakdown && (
+          <Box display="flex" justifyContent="center" sx={{ py: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {breakdown && (
+          <Grid container spacing={3} sx={{ pt: 1 }}>
+            {sections.map(section => (
+              <Grid item xs={12} sm={6} key={section.key}>
+                <CountList title={section.title} counts={breakdown[section.key]} />
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TrafficSources;
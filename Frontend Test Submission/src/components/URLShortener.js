@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Paper,
   TextField,
@@ -15,25 +15,61 @@ import {
   Select,
   MenuItem,
   Chip,
-  Grid
+  Grid,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   ContentCopy as CopyIcon,
   Launch as LaunchIcon,
-  AccessTime as TimeIcon
+  AccessTime as TimeIcon,
+  Lock as LockIcon,
+  Schedule as ScheduleIcon,
+  Add as AddIcon,
+  RemoveCircleOutline as RemoveIcon,
+  QrCode2 as QrCodeIcon
 } from '@mui/icons-material';
 import axios from 'axios';
+import { useNow, formatCountdown } from '../countdown';
+import QrCodeDialog, { qrCodeUrl } from './QrCodeDialog';
+
+const MAX_ROWS = 5;
+
+const emptyRow = () => ({
+  originalUrl: '',
+  customShortcode: '',
+  validityPeriod: 30,
+  password: '',
+  maxClicks: '',
+  activeFrom: '',
+  forwardUtm: false
+});
 
 function URLShortener() {
-  const [formData, setFormData] = useState({
-    originalUrl: '',
-    customShortcode: '',
-    validityPeriod: 30
-  });
-  const [shortenedUrl, setShortenedUrl] = useState(null);
+  const [rows, setRows] = useState([emptyRow()]);
+  const [rowErrors, setRowErrors] = useState([]);
+  const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [snackbar, setSnackbar] = useState({ open: false, message: '' });
+  const [account, setAccount] = useState(null);
+  const [qrShortCode, setQrShortCode] = useState(null);
+  const now = useNow();
+
+  useEffect(() => {
+    fetchAccount();
+  }, []);
+
+  const fetchAccount = async () => {
+    try {
+      const response = await axios.get('/api/account');
+      if (response.data.success) {
+        setAccount(response.data.data);
+      }
+    } catch (err) {
+      setAccount(null);
+    }
+  };
 
   const validityOptions = [
     { value: 5, label: '5 minutes' },
@@ -44,11 +80,18 @@ function URLShortener() {
     { value: 1440, label: '24 hours' }
   ];
 
-  const handleInputChange = (field) => (event) => {
-    setFormData(prev => ({
-      ...prev,
-      [field]: event.target.value
-    }));
+  const handleInputChange = (index, field) => (event) => {
+    const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = () => {
+    setRows(prev => [...prev, emptyRow()]);
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+    setRowErrors(prev => prev.filter((_, i) => i !== index));
   };
 
   const validateUrl = (url) => {
@@ -60,46 +103,68 @@ function URLShortener() {
     }
   };
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-    setError('');
-    setLoading(true);
+  // Client-side validation of a single row; returns an error message or ''
+  const validateRow = (row) => {
+    if (!row.originalUrl.trim()) {
+      return 'Please enter a URL to shorten';
+    }
 
-    // Client-side validation
-    if (!formData.originalUrl.trim()) {
-      setError('Please enter a URL to shorten');
-      setLoading(false);
-      return;
+    if (!validateUrl(row.originalUrl)) {
+      return 'Please enter a valid URL (must start with http:// or https://)';
     }
 
-    if (!validateUrl(formData.originalUrl)) {
-      setError('Please enter a valid URL (must start with http:// or https://)');
-      setLoading(false);
-      return;
+    if (row.customShortcode && !/^[a-zA-Z0-9_-]+$/.test(row.customShortcode)) {
+      return 'Custom shortcode can only contain letters, numbers, hyphens, and underscores';
     }
 
-    if (formData.customShortcode && !/^[a-zA-Z0-9_-]+$/.test(formData.customShortcode)) {
-      setError('Custom shortcode can only contain letters, numbers, hyphens, and underscores');
-      setLoading(false);
-      return;
+    if (row.customShortcode && (row.customShortcode.length < 3 || row.customShortcode.length > 20)) {
+      return 'Custom shortcode must be between 3 and 20 characters';
     }
 
-    if (formData.customShortcode && (formData.customShortcode.length < 3 || formData.customShortcode.length > 20)) {
-      setError('Custom shortcode must be between 3 and 20 characters');
-      setLoading(false);
+    if (row.password && (row.password.length < 4 || row.password.length > 128)) {
+      return 'Password must be between 4 and 128 characters';
+    }
+
+    if (row.maxClicks !== '' && (!Number.isInteger(Number(row.maxClicks)) || Number(row.maxClicks) < 1)) {
+      return 'Max clicks must be a positive whole number';
+    }
+
+    if (row.activeFrom && isNaN(new Date(row.activeFrom).getTime())) {
+      return 'Please enter a valid activation time';
+    }
+
+    return '';
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+
+    const errors = rows.map(validateRow);
+    setRowErrors(errors);
+    if (errors.some(Boolean)) {
       return;
     }
 
+    setLoading(true);
+
     try {
-      const response = await axios.post('/api/shorten', formData);
+      // datetime-local values are in the browser's timezone; send them as absolute instants
+      const urls = rows.map(row => ({
+        ...row,
+        activeFrom: row.activeFrom ? new Date(row.activeFrom).toISOString() : null
+      }));
+      const response = await axios.post('/api/shorten/batch', { urls });
       
       if (response.data.success) {
-        setShortenedUrl(response.data.data);
-        setFormData({
-          originalUrl: '',
-          customShortcode: '',
-          validityPeriod: 30
-        });
+        const batchResults = response.data.data.results;
+        setResults(batchResults.map(result => ({ ...result, input: rows[result.index] })));
+
+        // Keep only the rows that failed so they can be corrected and resubmitted
+        const failedRows = batchResults.filter(result => !result.success);
+        setRows(failedRows.length > 0 ? failedRows.map(result => rows[result.index]) : [emptyRow()]);
+        setRowErrors(failedRows.map(result => result.error));
+        fetchAccount();
       }
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to create short URL');
@@ -128,52 +193,145 @@ function URLShortener() {
       </Typography>
       
       <Typography variant="body1" color="text.secondary" align="center" sx={{ mb: 4 }}>
-        Create short links with custom codes and expiry management. Maximum 5 concurrent URLs allowed.
+        Create up to {MAX_ROWS} short links at once with custom codes and expiry management.
+        {account && ` Maximum ${account.quota} concurrent URLs allowed${account.accountName ? ` for ${account.accountName}` : ''} (${account.activeUrls} in use).`}
       </Typography>
 
       <Paper elevation={3} sx={{ p: 4, mb: 4 }}>
         <form onSubmit={handleSubmit}>
           <Grid container spacing={3}>
+            {rows.map((row, index) => (
+              <React.Fragment key={index}>
+                {rows.length > 1 && (
+                  <Grid item xs={12}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                      <Typography variant="subtitle2" color="text.secondary">
+                        URL {index + 1}
+                      </Typography>
+                      <IconButton
+                        onClick={() => removeRow(index)}
+                        color="error"
+                        size="small"
+                        title="Remove URL"
+                      >
+                        <RemoveIcon />
+                      </IconButton>
+                    </Box>
+                  </Grid>
+                )}
+
+                <Grid item xs={12}>
+                  <TextField
+                    fullWidth
+                    label="Original URL"
+                    placeholder="https://example.com/very-long-url"
+                    value={row.originalUrl}
+                    onChange={handleInputChange(index, 'originalUrl')}
+                    error={!!rowErrors[index] && rowErrors[index].includes('URL')}
+                    helperText="Enter the URL you want to shorten"
+                    required
+                  />
+                </Grid>
+                
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    fullWidth
+                    label="Custom Shortcode (Optional)"
+                    placeholder="my-custom-code"
+                    value={row.customShortcode}
+                    onChange={handleInputChange(index, 'customShortcode')}
+                    helperText="3-20 characters: letters, numbers, hyphens, underscores"
+                    error={!!rowErrors[index] && rowErrors[index].includes('shortcode')}
+                  />
+                </Grid>
+                
+                <Grid item xs={12} md={4}>
+                  <FormControl fullWidth>
+                    <InputLabel>Validity Period</InputLabel>
+                    <Select
+                      value={row.validityPeriod}
+                      onChange={handleInputChange(index, 'validityPeriod')}
+                      label="Validity Period"
+                    >
+                      {validityOptions.map(option => (
+                        <MenuItem key={option.value} value={option.value}>
+                          {option.label}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    fullWidth
+                    type="datetime-local"
+                    label="Activate At (Optional)"
+                    value={row.activeFrom}
+                    onChange={handleInputChange(index, 'activeFrom')}
+                    helperText="Validity starts counting from activation"
+                    error={!!rowErrors[index] && rowErrors[index].includes('activation')}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                </Grid>
+
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    fullWidth
+                    type="password"
+                    label="Password (Optional)"
+                    value={row.password}
+                    onChange={handleInputChange(index, 'password')}
+                    helperText="Visitors must enter it before being redirected"
+                    error={!!rowErrors[index] && rowErrors[index].includes('Password')}
+                    autoComplete="new-password"
+                  />
+                </Grid>
+
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Max Clicks (Optional)"
+                    value={row.maxClicks}
+                    onChange={handleInputChange(index, 'maxClicks')}
+                    helperText="Use 1 for a one-time link"
+                    error={!!rowErrors[index] && rowErrors[index].includes('Max clicks')}
+                    inputProps={{ min: 1 }}
+                  />
+                </Grid>
+
+                <Grid item xs={12}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={row.forwardUtm}
+                        onChange={handleInputChange(index, 'forwardUtm')}
+                      />
+                    }
+                    label="Forward UTM parameters to the destination"
+                  />
+                </Grid>
+
+                {rowErrors[index] && (
+                  <Grid item xs={12}>
+                    <Alert severity="error">
+                      {rowErrors[index]}
+                    </Alert>
+                  </Grid>
+                )}
+              </React.Fragment>
+            ))}
+
             <Grid item xs={12}>
-              <TextField
-                fullWidth
-                label="Original URL"
-                placeholder="https://example.com/very-long-url"
-                value={formData.originalUrl}
-                onChange={handleInputChange('originalUrl')}
-                error={!!error && error.includes('URL')}
-                helperText="Enter the URL you want to shorten"
-                required
-              />
-            </Grid>
-            
-            <Grid item xs={12} md={6}>
-              <TextField
-                fullWidth
-                label="Custom Shortcode (Optional)"
-                placeholder="my-custom-code"
-                value={formData.customShortcode}
-                onChange={handleInputChange('customShortcode')}
-                helperText="3-20 characters: letters, numbers, hyphens, underscores"
-                error={!!error && error.includes('shortcode')}
-              />
-            </Grid>
-            
-            <Grid item xs={12} md={6}>
-              <FormControl fullWidth>
-                <InputLabel>Validity Period</InputLabel>
-                <Select
-                  value={formData.validityPeriod}
-                  onChange={handleInputChange('validityPeriod')}
-                  label="Validity Period"
-                >
-                  {validityOptions.map(option => (
-                    <MenuItem key={option.value} value={option.value}>
-                      {option.label}
-                    </MenuItem>
-                  ))}
-                </Select>
-              </FormControl>
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                onClick={addRow}
+                disabled={rows.length >= MAX_ROWS}
+              >
+                Add another URL
+              </Button>
             </Grid>
             
             <Grid item xs={12}>
@@ -185,7 +343,9 @@ function URLShortener() {
                 disabled={loading}
                 sx={{ py: 1.5 }}
               >
-                {loading ? 'Creating Short URL...' : 'Shorten URL'}
+                {loading
+                  ? 'Creating Short URLs...'
+                  : (rows.length > 1 ? `Shorten ${rows.length} URLs` : 'Shorten URL')}
               </Button>
             </Grid>
           </Grid>
@@ -198,74 +358,135 @@ function URLShortener() {
         )}
       </Paper>
 
-      {shortenedUrl && (
-        <Card elevation={3} sx={{ mb: 4 }}>
-          <CardContent>
-            <Typography variant="h6" gutterBottom color="primary">
-              URL Successfully Shortened!
-            </Typography>
-            
-            <Box sx={{ mb: 2 }}>
-              <Typography variant="body2" color="text.secondary" gutterBottom>
-                Short URL:
+      {results.map(result => (
+        result.success ? (
+          <Card key={result.index} elevation={3} sx={{ mb: 4 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom color="primary">
+                URL Successfully Shortened!
               </Typography>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                <TextField
-                  fullWidth
-                  value={shortenedUrl.shortUrl}
-                  InputProps={{
-                    readOnly: true,
-                  }}
-                  variant="outlined"
-                  size="small"
+              
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  Short URL:
+                </Typography>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <TextField
+                    fullWidth
+                    value={result.data.shortUrl}
+                    InputProps={{
+                      readOnly: true,
+                    }}
+                    variant="outlined"
+                    size="small"
+                  />
+                  <IconButton
+                    onClick={() => copyToClipboard(result.data.shortUrl)}
+                    color="primary"
+                    title="Copy to clipboard"
+                  >
+                    <CopyIcon />
+                  </IconButton>
+                  <IconButton
+                    onClick={() => window.open(result.data.shortUrl, '_blank')}
+                    color="primary"
+                    title="Open in new tab"
+                  >
+                    <LaunchIcon />
+                  </IconButton>
+                </Box>
+              </Box>
+
+              <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 2 }}>
+                <img
+                  src={qrCodeUrl(result.data.shortCode, { format: 'svg' })}
+                  alt={`QR code for ${result.data.shortCode}`}
+                  width={96}
+                  height={96}
                 />
-                <IconButton
-                  onClick={() => copyToClipboard(shortenedUrl.shortUrl)}
-                  color="primary"
-                  title="Copy to clipboard"
-                >
-                  <CopyIcon />
-                </IconButton>
-                <IconButton
-                  onClick={() => window.open(shortenedUrl.shortUrl, '_blank')}
-                  color="primary"
-                  title="Open in new tab"
+                <Button
+                  variant="outlined"
+                  startIcon={<QrCodeIcon />}
+                  onClick={() => setQrShortCode(result.data.shortCode)}
                 >
-                  <LaunchIcon />
-                </IconButton>
+                  Download QR code
+                </Button>
               </Box>
-            </Box>
 
-            <Box sx={{ mb: 2 }}>
-              <Typography variant="body2" color="text.secondary" gutterBottom>
-                Original URL:
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  Original URL:
+                </Typography>
+                <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
+                  {result.data.originalUrl}
+                </Typography>
+              </Box>
+
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                {result.data.activeFrom && new Date(result.data.activeFrom) > now && (
+                  <Chip
+                    icon={<ScheduleIcon />}
+                    label={`Scheduled: starts in ${formatCountdown(new Date(result.data.activeFrom) - now)}`}
+                    color="secondary"
+                  />
+                )}
+                <Chip
+                  icon={<TimeIcon />}
+                  label={`Expires: ${formatExpiryDate(result.data.expiryDate)}`}
+                  color="warning"
+                  variant="outlined"
+                />
+                <Chip
+                  label={`Valid for: ${result.data.validityPeriod} minutes${result.data.activeFrom ? ' after activation' : ''}`}
+                  color="info"
+                  variant="outlined"
+                />
+                <Chip
+                  label={`Code: ${result.data.shortCode}`}
+                  color="primary"
+                  variant="outlined"
+                />
+                {result.data.maxClicks && (
+                  <Chip
+                    label={result.data.maxClicks === 1 ? 'One-time link' : `Max clicks: ${result.data.maxClicks}`}
+                    color="secondary"
+                    variant="outlined"
+                  />
+                )}
+                {result.data.isProtected && (
+                  <Chip
+                    icon={<LockIcon />}
+                    label="Password protected"
+                    color="secondary"
+                    variant="outlined"
+                  />
+                )}
+                {result.data.forwardUtm && (
+                  <Chip
+                    label="Forwards UTM parameters"
+                    color="info"
+                    variant="outlined"
+                  />
+                )}
+              </Box>
+            </CardContent>
+          </Card>
+        ) : (
+          <Card key={result.index} elevation={3} sx={{ mb: 4 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom color="error">
+                Could Not Shorten URL
               </Typography>
-              <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
-                {shortenedUrl.originalUrl}
+              <Typography variant="body2" sx={{ wordBreak: 'break-all', mb: 2 }}>
+                {result.input.originalUrl}
               </Typography>
-            </Box>
-
-            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
-              <Chip
-                icon={<TimeIcon />}
-                label={`Expires: ${formatExpiryDate(shortenedUrl.expiryDate)}`}
-                color="warning"
-                variant="outlined"
-              />
-              <Chip
-                label={`Valid for: ${shortenedUrl.validityPeriod} minutes`}
-                color="info"
-                variant="outlined"
-              />
-              <Chip
-                label={`Code: ${shortenedUrl.shortCode}`}
-                color="primary"
-                variant="outlined"
-              />
-            </Box>
-          </CardContent>
-        </Card>
-      )}
+              <Alert severity="error">
+                {result.error}
+              </Alert>
+            </CardContent>
+          </Card>
+        )
+      ))}
 
       <Snackbar
         open={snackbar.open}
@@ -273,6 +494,8 @@ function URLShortener() {
         onClose={() => setSnackbar({ open: false, message: '' })}
         message={snackbar.message}
       />
+
+      <QrCodeDialog shortCode={qrShortCode} onClose={() => setQrShortCode(null)} />
     </Box>
   );
 }
@@ -16,7 +16,17 @@ import {
   CardContent,
   Grid,
   CircularProgress,
-  Tooltip
+  Tooltip,
+  Button,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  Switch,
+  Menu,
+  MenuItem
 } from '@mui/material';
 import {
   ContentCopy as CopyIcon,
@@ -24,14 +34,40 @@ import {
   Visibility as ViewIcon,
   AccessTime as TimeIcon,
   TrendingUp as TrendingUpIcon,
-  Link as LinkIcon
+  Link as LinkIcon,
+  Edit as EditIcon,
+  MoreTime as ExtendIcon,
+  Lock as LockIcon,
+  Delete as DeleteIcon,
+  Insights as InsightsIcon,
+  Download as DownloadIcon,
+  QrCode2 as QrCodeIcon
 } from '@mui/icons-material';
 import axios from 'axios';
+import { useNow, formatCountdown } from '../countdown';
+import ClickTimeseries from './ClickTimeseries';
+import TrafficSources from './TrafficSources';
+import ExportDialog from './ExportDialog';
+import QrCodeDialog from './QrCodeDialog';
 
 function URLStatistics() {
   const [urls, setUrls] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [editDialog, setEditDialog] = useState({ open: false, url: null, originalUrl: '', isActive: true, forwardUtm: false });
+  const [extendMenu, setExtendMenu] = useState({ anchorEl: null, url: null });
+  const [deleteDialog, setDeleteDialog] = useState({ open: false, url: null });
+  const [sourcesShortCode, setSourcesShortCode] = useState(null);
+  const [qrShortCode, setQrShortCode] = useState(null);
+  const [exportDialog, setExportDialog] = useState({ open: false, shortCode: null });
+  const now = useNow();
+
+  const extendOptions = [
+    { value: 15, label: '+15 minutes' },
+    { value: 30, label: '+30 minutes' },
+    { value: 60, label: '+1 hour' },
+    { value: 1440, label: '+24 hours' }
+  ];
 
   useEffect(() => {
     fetchURLs();
@@ -52,6 +88,54 @@ function URLStatistics() {
     }
   };
 
+  const updateURL = async (shortCode, changes) => {
+    try {
+      setError('');
+      await axios.patch(`/api/urls/${shortCode}`, changes);
+      await fetchURLs();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update URL');
+      return false;
+    }
+  };
+
+  const handleEditSave = async () => {
+    const { url, originalUrl, isActive, forwardUtm } = editDialog;
+    const changes = {};
+    if (originalUrl !== url.originalUrl) {
+      changes.originalUrl = originalUrl;
+    }
+    if (isActive !== url.isActive) {
+      changes.isActive = isActive;
+    }
+    if (forwardUtm !== Boolean(url.forwardUtm)) {
+      changes.forwardUtm = forwardUtm;
+    }
+    if (Object.keys(changes).length === 0 || await updateURL(url.shortCode, changes)) {
+      setEditDialog({ open: false, url: null, originalUrl: '', isActive: true, forwardUtm: false });
+    }
+  };
+
+  const handleExtend = async (minutes) => {
+    const { url } = extendMenu;
+    setExtendMenu({ anchorEl: null, url: null });
+    await updateURL(url.shortCode, { extendBy: minutes });
+  };
+
+  const handleDelete = async () => {
+    const { url } = deleteDialog;
+    setDeleteDialog({ open: false, url: null });
+    try {
+      setError('');
+      // Erase rather than delete, so the click analytics are gone from storage too
+      await axios.delete(`/api/urls/${url.shortCode}/data`);
+      await fetchURLs();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete URL');
+    }
+  };
+
   const copyToClipboard = async (text) => {
     try {
       await navigator.clipboard.writeText(text);
@@ -64,10 +148,47 @@ function URLStatistics() {
     return new Date(date).toLocaleString();
   };
 
+  const networkLabels = {
+    private: 'Private network',
+    loopback: 'Loopback',
+    'link-local': 'Link-local',
+    unspecified: 'Unspecified address'
+  };
+
+  // Clicks hold { country, region, city, network }; older clicks hold a plain string
+  const formatLocation = (location) => {
+    if (!location || typeof location === 'string') {
+      return location || 'Unknown';
+    }
+    if (location.network && location.network !== 'public') {
+      return networkLabels[location.network] || 'Unknown';
+    }
+    return [location.city, location.region, location.country].filter(Boolean).join(', ') || 'Unknown';
+  };
+
+  const isScheduled = (url) => Boolean(url.activeFrom) && new Date(url.activeFrom) > now;
+
   const getStatusChip = (url) => {
+    if (!url.isActive) {
+      return <Chip label="Inactive" color="default" size="small" />;
+    }
+    if (isScheduled(url)) {
+      return (
+        <Tooltip title={`Starts ${formatDate(url.activeFrom)}`}>
+          <Chip
+            label={`Scheduled · ${formatCountdown(new Date(url.activeFrom) - now)}`}
+            color="info"
+            size="small"
+          />
+        </Tooltip>
+      );
+    }
     if (url.isExpired) {
       return <Chip label="Expired" color="error" size="small" />;
     }
+    if (url.isExhausted) {
+      return <Chip label="Exhausted" color="warning" size="small" />;
+    }
     return <Chip label="Active" color="success" size="small" />;
   };
 
@@ -76,7 +197,7 @@ function URLStatistics() {
   };
 
   const getActiveUrls = () => {
-    return urls.filter(url => !url.isExpired).length;
+    return urls.filter(url => url.isActive && !url.isExpired && !url.isExhausted && !isScheduled(url)).length;
   };
 
   if (loading) {
@@ -154,6 +275,20 @@ function URLStatistics() {
         </Grid>
       </Grid>
 
+      {urls.length > 0 && <ClickTimeseries urls={urls} />}
+
+      {urls.length > 0 && (
+        <Box display="flex" justifyContent="flex-end" sx={{ mb: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            onClick={() => setExportDialog({ open: true, shortCode: null })}
+          >
+            Export
+          </Button>
+        </Box>
+      )}
+
       {error && (
         <Alert severity="error" sx={{ mb: 3 }}>
           {error}
@@ -192,6 +327,11 @@ function URLStatistics() {
                       <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
                         {url.shortCode}
                       </Typography>
+                      {url.isProtected && (
+                        <Tooltip title="Password protected">
+                          <LockIcon fontSize="small" color="action" sx={{ ml: 0.5 }} />
+                        </Tooltip>
+                      )}
                       <Tooltip title="Copy short URL">
                         <IconButton
                           size="small"
@@ -241,6 +381,18 @@ function URLStatistics() {
                       color={url.totalClicks > 0 ? "primary" : "default"}
                       size="small"
                     />
+                    {url.botClicks > 0 && (
+                      <Tooltip title="Visits from crawlers and link previews, not counted in clicks">
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          +{url.botClicks} bot{url.botClicks === 1 ? '' : 's'}
+                        </Typography>
+                      </Tooltip>
+                    )}
+                    {url.remainingClicks !== null && url.remainingClicks !== undefined && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {url.remainingClicks} of {url.maxClicks} left
+                      </Typography>
+                    )}
                   </TableCell>
                   
                   <TableCell>
@@ -250,7 +402,7 @@ function URLStatistics() {
                           {url.clickHistory.slice(-3).map((click, index) => (
                             <Chip
                               key={index}
-                              label={click.location}
+                              label={formatLocation(click.location)}
                               size="small"
                               variant="outlined"
                               sx={{ mr: 0.5, mb: 0.5 }}
@@ -282,7 +434,7 @@ function URLStatistics() {
                         </IconButton>
                       </Tooltip>
                       
-                      {!url.isExpired && (
+                      {url.isActive && !url.isExpired && !url.isExhausted && !isScheduled(url) && (
                         <Tooltip title="Visit short URL">
                           <IconButton
                             size="small"
@@ -293,6 +445,67 @@ function URLStatistics() {
                           </IconButton>
                         </Tooltip>
                       )}
+
+                      <Tooltip title="QR code">
+                        <IconButton
+                          size="small"
+                          onClick={() => setQrShortCode(url.shortCode)}
+                        >
+                          <QrCodeIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+
+                      <Tooltip title="Traffic sources">
+                        <IconButton
+                          size="small"
+                          onClick={() => setSourcesShortCode(url.shortCode)}
+                        >
+                          <InsightsIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+
+                      <Tooltip title="Export clicks">
+                        <IconButton
+                          size="small"
+                          onClick={() => setExportDialog({ open: true, shortCode: url.shortCode })}
+                        >
+                          <DownloadIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+
+                      <Tooltip title="Edit">
+                        <IconButton
+                          size="small"
+                          onClick={() => setEditDialog({
+                            open: true,
+                            url,
+                            originalUrl: url.originalUrl,
+                            isActive: url.isActive,
+                            forwardUtm: Boolean(url.forwardUtm)
+                          })}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+
+                      <Tooltip title="Extend expiry">
+                        <IconButton
+                          size="small"
+                          onClick={(event) => setExtendMenu({ anchorEl: event.currentTarget, url })}
+                        >
+                          <ExtendIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+
+                      <Tooltip title="Delete">
+                        <IconButton
+                          size="small"
+                          onClick={() => setDeleteDialog({ open: true, url })}
+                          color="error"
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
                     </Box>
                   </TableCell>
                 </TableRow>
@@ -301,6 +514,92 @@ function URLStatistics() {
           </Table>
         </TableContainer>
       )}
+
+      <Menu
+        anchorEl={extendMenu.anchorEl}
+        open={Boolean(extendMenu.anchorEl)}
+        onClose={() => setExtendMenu({ anchorEl: null, url: null })}
+      >
+        {extendOptions.map(option => (
+          <MenuItem key={option.value} onClick={() => handleExtend(option.value)}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </Menu>
+
+      <Dialog
+        open={editDialog.open}
+        onClose={() => setEditDialog({ open: false, url: null, originalUrl: '', isActive: true, forwardUtm: false })}
+        fullWidth
+        maxWidth="sm"
+      >
+        <DialogTitle>Edit {editDialog.url?.shortCode}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            label="Original URL"
+            value={editDialog.originalUrl}
+            onChange={(event) => setEditDialog(prev => ({ ...prev, originalUrl: event.target.value }))}
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={editDialog.isActive}
+                onChange={(event) => setEditDialog(prev => ({ ...prev, isActive: event.target.checked }))}
+              />
+            }
+            label="Active"
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                checked={editDialog.forwardUtm}
+                onChange={(event) => setEditDialog(prev => ({ ...prev, forwardUtm: event.target.checked }))}
+              />
+            }
+            label="Forward UTM parameters"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditDialog({ open: false, url: null, originalUrl: '', isActive: true, forwardUtm: false })}>
+            Cancel
+          </Button>
+          <Button onClick={handleEditSave} variant="contained">
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <TrafficSources shortCode={sourcesShortCode} onClose={() => setSourcesShortCode(null)} />
+
+      <QrCodeDialog shortCode={qrShortCode} onClose={() => setQrShortCode(null)} />
+
+      <ExportDialog
+        open={exportDialog.open}
+        shortCode={exportDialog.shortCode}
+        onClose={() => setExportDialog({ open: false, shortCode: null })}
+      />
+
+      <Dialog
+        open={deleteDialog.open}
+        onClose={() => setDeleteDialog({ open: false, url: null })}
+      >
+        <DialogTitle>Delete short URL?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2">
+            {deleteDialog.url?.shortCode} and all of its click analytics will be permanently removed.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteDialog({ open: false, url: null })}>
+            Cancel
+          </Button>
+          <Button onClick={handleDelete} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+
+// Current time, refreshed on an interval so countdowns re-render
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+}
+
+// Format a duration in milliseconds as e.g. "2d 3h", "1h 05m", "4m 09s"
+export function formatCountdown(ms) {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${pad(minutes)}m`;
+  }
+  return `${minutes}m ${pad(seconds)}s`;
+}
@@ -0,0 +1,14 @@
+import axios from 'axios';
+
+// Fetch a file through axios (so the API key header is sent) and save it in the browser
+export async function downloadFile(url, params, filename) {
+  const response = await axios.get(url, { params, responseType: 'blob' });
+  const objectUrl = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+}
@@ -4,6 +4,9 @@ import { BrowserRouter } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import App from './App';
+import { applyStoredApiKey } from './apiKey';
+
+applyStoredApiKey();
 
 const theme = createTheme({
   palette: {
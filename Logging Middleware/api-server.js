@@ -8,164 +8,516 @@ const path = require('path');
 const { 
     requestLoggingMiddleware, 
     errorLoggingMiddleware, 
+    closeLogs,
+    dbLogger,
+    logLevels,
+    LOG_LEVELS,
     urlLogger, 
+    authLogger,
     logger 
 } = require('./server.js');
+const config = require('./config.js');
+const { createStore } = require('./storage');
+const { hashPassword, verifyPassword, UnlockThrottle } = require('./link-protection.js');
+const { renderUnlockPage, renderLinkStatusPage, renderPreviewPage } = require('./pages.js');
+const { loadGeoDatabase, formatLocation } = require('./geolocation.js');
+const { parseUserAgent } = require('./user-agent.js');
+const { normalizeReferrer, extractUtm, appendUtm } = require('./attribution.js');
+const {
+    INTERVALS,
+    summarizeClicks,
+    buildBreakdown,
+    isValidTimeZone,
+    buildTimeseries
+} = require('./click-analytics.js');
+const {
+    generateApiKey,
+    hashApiKey,
+    getClientIP,
+    tokenMatches,
+    createAuthMiddleware,
+    createAdminMiddleware,
+    rateLimitKey,
+    ownsUrl
+} = require('./auth.js');
+const { createRateLimiter, createNotFoundGuard } = require('./rate-limit.js');
+const {
+    EXPORT_FORMATS,
+    URL_COLUMNS,
+    CLICK_COLUMNS,
+    urlRecord,
+    clickRecord,
+    sendExport
+} = require('./export.js');
+const { QR_FORMATS, parseQrOptions, renderQrCode } = require('./qr-code.js');
+const { DestinationPolicy } = require('./destination-policy.js');
+const { searchLogs } = require('./log-search.js');
+const { anonymizeIp } = require('./redaction.js');
+const { ExpirySweeper } = require('./expiry-sweeper.js');
+const { ShortCodeGenerator } = require('./shortcode-generator.js');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, registry: metrics } = require('./metrics.js');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 
 // Middleware
-app.use(cors());
+// Let browser clients read the correlation ID when reporting a failed request
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(bodyParser.json());
+app.use(bodyParser.urlencoded({ extended: false }));
 app.use(requestLoggingMiddleware);
 
-// In-memory storage (in production, use a proper database)
-const urlDatabase = new Map();
-const clickAnalytics = new Map();
+// Persistent storage for URLs and click analytics (driver selected via config)
+const store = createStore(config.storage);
 
-// Utility functions
-function generateShortCode(customCode = null) {
-    if (customCode) {
-        // Validate custom code
-        if (!/^[a-zA-Z0-9_-]+$/.test(customCode)) {
-            throw new Error('Custom shortcode must contain only alphanumeric characters, hyphens, and underscores');
-        }
-        if (customCode.length < 3 || customCode.length > 20) {
-            throw new Error('Custom shortcode must be between 3 and 20 characters');
-        }
-        if (urlDatabase.has(customCode)) {
-            throw new Error('Custom shortcode already exists');
+// Resolve the calling account from its API key (req.caller), and guard admin routes
+const authenticate = createAuthMiddleware(store, config.auth);
+const requireAdmin = createAdminMiddleware(config.auth);
+
+// Request rate limits per route group; pass-through when disabled
+const rateLimits = createRateLimits(config.rateLimit);
+app.use('/api', rateLimits.api);
+
+// Shortener activity for GET /metrics; request, rate limit and log shipping
+// metrics are registered by the modules that produce them
+const linksCreated = metrics.counter({
+    name: 'shortener_links_created_total',
+    help: 'Short links created.'
+});
+const redirectsServed = metrics.counter({
+    name: 'shortener_redirects_total',
+    help: 'Redirects to a destination (recorded clicks).'
+});
+const linkStatusResponses = metrics.counter({
+    name: 'shortener_link_status_responses_total',
+    help: 'Short link lookups that could not be followed, by status and reason.',
+    labelNames: ['status', 'reason']
+});
+const linksExpired = metrics.counter({
+    name: 'shortener_links_expired_total',
+    help: 'Links detected as expired by the expiry sweeper.'
+});
+const linksArchived = metrics.counter({
+    name: 'shortener_links_archived_total',
+    help: 'Expired links moved to the archive.'
+});
+metrics.gauge({
+    name: 'shortener_links',
+    help: 'Stored short links, by whether they currently count as active.',
+    labelNames: ['state'],
+    collect: () => {
+        const urls = store.listUrls();
+        const clickCounts = store.listClickCounts();
+        const active = urls.filter(url => url.isActive && holdsQuota(url, clickCounts)).length;
+        return [
+            { labels: { state: 'active' }, value: active },
+            { labels: { state: 'inactive' }, value: urls.length - active }
+        ];
+    }
+});
+
+// Offline IP geolocation database, loaded once at startup
+const geoDatabase = loadGeoDatabase(config.geolocation.databaseFile);
+
+// Failed password attempts per protected link
+const unlockThrottle = new UnlockThrottle(config.linkProtection);
+
+// Click details are kept for CLICK_RETENTION_DAYS; totals survive the purge
+function purgeOldClicks() {
+    const { clickRetentionDays } = config.privacy;
+    if (!clickRetentionDays) {
+        return;
+    }
+    try {
+        const cutoff = new Date(Date.now() - clickRetentionDays * 24 * 60 * 60 * 1000);
+        const purged = store.purgeClicks(cutoff);
+        if (purged > 0) {
+            dbLogger.clicksPurged(purged, cutoff.toISOString());
         }
-        return customCode;
+    } catch (error) {
+        logger.error('data-retention', 'db-operations', `Error purging old clicks: ${error.message}`);
     }
-    
-    // Generate random shortcode
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < 6; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+}
+
+purgeOldClicks();
+setInterval(purgeOldClicks, config.privacy.purgeIntervalMs).unref();
+
+if (!config.privacy.hashSaltConfigured
+    && (config.privacy.logIpMode === 'hash' || config.privacy.clickIpMode === 'hash')) {
+    logger.warn('privacy', 'main', 'PRIVACY_HASH_SALT is not set; hashed IPs will not match across restarts');
+}
+
+// Expired links are reported once and archived after EXPIRY_ARCHIVE_AFTER_MINUTES
+const expirySweeper = new ExpirySweeper(store, config.expiry);
+expirySweeper.on('expired', urlData => {
+    linksExpired.inc();
+    urlLogger.expiryDetected(urlData.shortCode, urlData.originalUrl, urlData.expiryDate);
+});
+expirySweeper.on('archived', record => {
+    linksArchived.inc();
+    urlLogger.urlArchived(record.shortCode, record.id, record.analytics.totalClicks);
+});
+expirySweeper.on('error', error => {
+    logger.error('url-expiry', 'url-shortener', `Expiry sweep failed: ${error.message}`);
+});
+expirySweeper.start();
+
+// Random and custom short codes, kept off reserved paths
+const shortCodes = new ShortCodeGenerator(config.shortCodes, {
+    isTaken: isShortCodeTaken,
+    countUsed: countUsedShortCodes
+});
+
+// Rules for which destinations may be shortened; the host short URLs are built on
+// always counts as one of ours
+const destinationPolicy = new DestinationPolicy({
+    ...config.destinationPolicy,
+    shortDomains: [...config.destinationPolicy.shortDomains, new URL(shortUrlFor('')).hostname]
+});
+
+// Utility functions
+function createRateLimits({ enabled, policies }) {
+    const passThrough = (req, res, next) => next();
+    if (!enabled) {
+        return { shorten: passThrough, api: passThrough, redirect: passThrough, notFound: passThrough };
     }
     
-    // Ensure uniqueness
-    if (urlDatabase.has(result)) {
-        return generateShortCode();
+    const keyFor = req => rateLimitKey(store, req);
+    return {
+        shorten: createRateLimiter('shorten', policies.shorten, {
+            keyFor,
+            cost: req => (Array.isArray(req.body.urls) ? req.body.urls.length : 1)
+        }),
+        api: createRateLimiter('api', policies.api, {
+            keyFor,
+            // Shorten requests spend `shorten` tokens instead; Express matches routes
+            // case-insensitively, so the path is compared the same way
+            skip: req => req.path === '/health' || /^\/shorten(\/batch)?\/?$/i.test(req.path)
+        }),
+        redirect: createRateLimiter('redirect', policies.redirect, { keyFor }),
+        // Only requests shaped like short codes count, not e.g. /favicon.ico
+        notFound: createNotFoundGuard(policies.notFound, {
+            keyFor,
+            countable: req => /^[a-zA-Z0-9_-]+\+?$/.test(req.params.shortCode)
+        })
+    };
+}
+
+// Whether a short code belongs to a stored link, or to an archived one while
+// archived codes are not released for reuse
+function isShortCodeTaken(shortCode) {
+    if (config.shortCodes.caseInsensitive) {
+        const lowerCode = shortCode.toLowerCase();
+        const sameCode = record => record.shortCode.toLowerCase() === lowerCode;
+        return store.listUrls().some(sameCode)
+            || (!config.expiry.reuseShortCodes && store.listArchived().some(sameCode));
     }
-    
-    return result;
+    return Boolean(store.getUrl(shortCode))
+        || (!config.expiry.reuseShortCodes && Boolean(store.findArchivedByShortCode(shortCode)));
 }
 
-function isValidUrl(string) {
-    try {
-        const url = new URL(string);
-        return url.protocol === 'http:' || url.protocol === 'https:';
-    } catch (_) {
-        return false;
+// Code as stored for the link (or archived link) `shortCode` refers to. With
+// case-insensitive codes `AbC` finds the link created as `abc`; otherwise, or
+// when nothing matches, the code is returned unchanged.
+function canonicalShortCode(shortCode) {
+    if (!config.shortCodes.caseInsensitive || store.getUrl(shortCode)) {
+        return shortCode;
+    }
+    const lowerCode = shortCode.toLowerCase();
+    const sameCode = record => record.shortCode.toLowerCase() === lowerCode;
+    const match = store.listUrls().find(sameCode) || store.listArchived().find(sameCode);
+    return match ? match.shortCode : shortCode;
+}
+
+// Number of short codes isShortCodeTaken() reports as taken
+function countUsedShortCodes() {
+    return store.listUrls().length + (config.expiry.reuseShortCodes ? 0 : store.listArchived().length);
+}
+
+// Check a destination against the policy, logging the reason for any rejection.
+// `requestHost` is the host the request reached us on. Returns null or { reason, message }.
+function checkDestination(originalUrl, requestHost) {
+    const rejection = destinationPolicy.check(originalUrl, { requestHost });
+    if (rejection) {
+        urlLogger.validationError('originalUrl', originalUrl, rejection.message, rejection.reason);
+    }
+    return rejection;
+}
+
+function shortUrlFor(shortCode) {
+    return `http://localhost:${PORT}/${shortCode}`;
+}
+
+// URL record as returned by the API: never exposes the password hash
+function publicUrlData(urlData) {
+    const { passwordHash, ...publicData } = urlData;
+    return {
+        ...publicData,
+        isProtected: Boolean(passwordHash)
+    };
+}
+
+// Click totals of one URL's analytics, shaped like the entries of
+// store.listClickCounts()
+function clickCountsOf(analytics) {
+    return {
+        totalClicks: analytics.totalClicks,
+        botClicks: analytics.clicks.filter(click => click.isBot).length
+    };
+}
+
+// Clicks that use up a click limit: visits by people, not bots such as chat link
+// unfurlers. Bots are known by the flag stored with the click, so purged clicks
+// and clicks recorded before bot detection still count.
+function countLimitedClicks({ totalClicks, botClicks }) {
+    return totalClicks - botClicks;
+}
+
+// Remaining clicks of a click-limited URL (null when unlimited)
+function getClickLimitStatus(urlData, clickCounts) {
+    if (!urlData.maxClicks) {
+        return { remainingClicks: null, isExhausted: false };
     }
+    const remainingClicks = Math.max(urlData.maxClicks - countLimitedClicks(clickCounts), 0);
+    return { remainingClicks, isExhausted: remainingClicks === 0 };
+}
+
+// Lifecycle flags of a URL as reported by the API
+function getUrlStatus(urlData, clickCounts) {
+    const now = new Date();
+    return {
+        isScheduled: Boolean(urlData.activeFrom) && now < urlData.activeFrom,
+        isExpired: now > urlData.expiryDate,
+        ...getClickLimitStatus(urlData, clickCounts)
+    };
 }
 
-function getClientIP(req) {
-    return req.ip || req.connection.remoteAddress || req.socket.remoteAddress || 'unknown';
+// Whether a URL still occupies a slot of its owner's concurrent URL quota.
+// `clickCounts` is store.listClickCounts(), read once for all the URLs checked.
+function holdsQuota(urlData, clickCounts) {
+    if (new Date() > urlData.expiryDate) {
+        return false;
+    }
+    const counts = clickCounts[urlData.shortCode] || { totalClicks: 0, botClicks: 0 };
+    return !getClickLimitStatus(urlData, counts).isExhausted;
 }
 
-function getCoarseLocation(ip) {
-    // In production, use a proper IP geolocation service
-    // For demo purposes, return mock location data
-    const mockLocations = ['New York, US', 'London, UK', 'Tokyo, JP', 'Mumbai, IN', 'Sydney, AU'];
-    return mockLocations[Math.floor(Math.random() * mockLocations.length)];
+// Maximum number of entries accepted by a single batch request
+const MAX_BATCH_SIZE = 20;
+
+// Validate a shorten request and store the new URL.
+// Returns { data } on success or { status, error } describing the failure.
+function shortenUrl({ originalUrl, customShortcode, validityPeriod, password, maxClicks, activeFrom, forwardUtm }, caller, requestHost) {
+    // Validation
+    if (!originalUrl) {
+        urlLogger.validationError('originalUrl', originalUrl, 'Original URL is required');
+        return { status: 400, error: 'Original URL is required' };
+    }
+    
+    const rejection = checkDestination(originalUrl, requestHost);
+    if (rejection) {
+        return { status: 400, error: rejection.message, reason: rejection.reason };
+    }
+    
+    if (password !== undefined && password !== null && password !== '' &&
+        (typeof password !== 'string' || password.length < 4 || password.length > 128)) {
+        urlLogger.validationError('password', '[redacted]', 'Password must be between 4 and 128 characters');
+        return { status: 400, error: 'Password must be between 4 and 128 characters' };
+    }
+    
+    if (validityPeriod !== undefined && validityPeriod !== null && validityPeriod !== '' &&
+        (!['number', 'string'].includes(typeof validityPeriod) ||
+            !Number.isInteger(Number(validityPeriod)) || Number(validityPeriod) < 1)) {
+        urlLogger.validationError('validityPeriod', validityPeriod, 'Validity period must be a positive integer number of minutes');
+        return { status: 400, error: 'Validity period must be a positive integer number of minutes' };
+    }
+    
+    if (maxClicks !== undefined && maxClicks !== null && maxClicks !== '' &&
+        (!Number.isInteger(Number(maxClicks)) || Number(maxClicks) < 1)) {
+        urlLogger.validationError('maxClicks', maxClicks, 'Max clicks must be a positive integer');
+        return { status: 400, error: 'Max clicks must be a positive integer' };
+    }
+    
+    let activationDate = null;
+    if (activeFrom !== undefined && activeFrom !== null && activeFrom !== '') {
+        activationDate = new Date(activeFrom);
+        if (isNaN(activationDate.getTime())) {
+            urlLogger.validationError('activeFrom', activeFrom, 'Invalid activation date');
+            return { status: 400, error: 'Invalid activation date' };
+        }
+        // An activation time that has already passed just means "active now"
+        if (activationDate <= new Date()) {
+            activationDate = null;
+        }
+    }
+    
+    // Check if the caller has exceeded its concurrent URL quota
+    const clickCounts = store.listClickCounts();
+    const userUrls = store.listUrls().filter(url => 
+        ownsUrl(caller, url) && holdsQuota(url, clickCounts)
+    );
+    if (userUrls.length >= caller.quota) {
+        urlLogger.validationError('concurrentLimit', userUrls.length, `Maximum ${caller.quota} concurrent URLs allowed`);
+        return { status: 429, error: `Maximum ${caller.quota} concurrent shortened URLs allowed` };
+    }
+    
+    // Generate short code
+    let shortCode;
+    if (customShortcode) {
+        const invalid = shortCodes.checkCustom(customShortcode);
+        if (invalid) {
+            urlLogger.validationError('customShortcode', customShortcode, invalid);
+            return { status: 400, error: invalid };
+        }
+        shortCode = customShortcode;
+    } else {
+        shortCode = shortCodes.generate();
+        if (!shortCode) {
+            logger.error('url-creation', 'url-shortener', 'No free short code found within the attempt limit');
+            return { status: 503, error: 'Could not generate a short code, please try again' };
+        }
+    }
+    
+    // Calculate expiry date (default 30 minutes), measured from activation for scheduled links
+    const validityMinutes = validityPeriod ? Number(validityPeriod) : 30;
+    const validFrom = activationDate ? activationDate.getTime() : Date.now();
+    const expiryDate = new Date(validFrom + validityMinutes * 60 * 1000);
+    
+    // Store URL data
+    const urlData = {
+        id: uuidv4(),
+        originalUrl,
+        shortCode,
+        createdAt: new Date(),
+        activeFrom: activationDate,
+        expiryDate,
+        createdBy: caller.ip,
+        ownerId: caller.accountId,
+        isActive: true,
+        validityPeriod: validityMinutes,
+        passwordHash: password ? hashPassword(password) : null,
+        maxClicks: maxClicks ? Number(maxClicks) : null,
+        forwardUtm: forwardUtm === true
+    };
+    
+    store.createUrl(urlData);
+    linksCreated.inc();
+    
+    // Log URL creation
+    urlLogger.urlCreated(originalUrl, shortCode, expiryDate, activationDate);
+    
+    return {
+        data: {
+            originalUrl,
+            shortCode,
+            shortUrl: shortUrlFor(shortCode),
+            activeFrom: activationDate,
+            expiryDate,
+            validityPeriod: validityMinutes,
+            isProtected: Boolean(password),
+            maxClicks: urlData.maxClicks,
+            forwardUtm: urlData.forwardUtm
+        }
+    };
 }
 
+// Every route taking a :shortCode sees the code as stored, keeping the "+" of
+// the preview route
+app.param('shortCode', (req, res, next, value) => {
+    const isPreview = value.endsWith('+');
+    const shortCode = canonicalShortCode(isPreview ? value.slice(0, -1) : value);
+    req.params.shortCode = isPreview ? `${shortCode}+` : shortCode;
+    next();
+});
+
 // API Routes
 
 // Create shortened URL
-app.post('/api/shorten', (req, res) => {
+app.post('/api/shorten', rateLimits.shorten, authenticate, (req, res) => {
     try {
-        const { originalUrl, customShortcode, validityPeriod } = req.body;
-        const clientIP = getClientIP(req);
+        const result = shortenUrl(req.body, req.caller, req.hostname);
         
-        // Validation
-        if (!originalUrl) {
-            urlLogger.validationError('originalUrl', originalUrl, 'Original URL is required');
-            return res.status(400).json({ error: 'Original URL is required' });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, reason: result.reason });
         }
         
-        if (!isValidUrl(originalUrl)) {
-            urlLogger.validationError('originalUrl', originalUrl, 'Invalid URL format');
-            return res.status(400).json({ error: 'Invalid URL format' });
-        }
+        res.json({
+            success: true,
+            data: result.data
+        });
         
-        // Check if user has exceeded concurrent URL limit (5 URLs)
-        const userUrls = Array.from(urlDatabase.values()).filter(url => 
-            url.createdBy === clientIP && new Date() <= url.expiryDate
-        );
-        if (userUrls.length >= 5) {
-            urlLogger.validationError('concurrentLimit', userUrls.length, 'Maximum 5 concurrent URLs allowed');
-            return res.status(429).json({ error: 'Maximum 5 concurrent shortened URLs allowed' });
-        }
+    } catch (error) {
+        logger.error('url-creation', 'api', `Error creating short URL: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create several shortened URLs at once, reporting success or failure per entry.
+// Entries are processed in order within a single synchronous pass, so the
+// concurrent URL limit cannot be overrun by interleaved requests.
+app.post('/api/shorten/batch', rateLimits.shorten, authenticate, (req, res) => {
+    try {
+        const { urls } = req.body;
+        const clientIP = getClientIP(req);
         
-        // Generate short code
-        let shortCode;
-        try {
-            shortCode = generateShortCode(customShortcode);
-        } catch (error) {
-            urlLogger.validationError('customShortcode', customShortcode, error.message);
-            return res.status(400).json({ error: error.message });
+        if (!Array.isArray(urls) || urls.length === 0) {
+            urlLogger.validationError('urls', urls, 'A non-empty array of URLs is required');
+            return res.status(400).json({ error: 'A non-empty array of URLs is required' });
         }
         
-        // Calculate expiry date (default 30 minutes)
-        const validityMinutes = validityPeriod || 30;
-        const expiryDate = new Date(Date.now() + validityMinutes * 60 * 1000);
+        if (urls.length > MAX_BATCH_SIZE) {
+            urlLogger.validationError('urls', urls.length, `Maximum ${MAX_BATCH_SIZE} URLs per batch`);
+            return res.status(400).json({ error: `Maximum ${MAX_BATCH_SIZE} URLs per batch` });
+        }
         
-        // Store URL data
-        const urlData = {
-            id: uuidv4(),
-            originalUrl,
-            shortCode,
-            createdAt: new Date(),
-            expiryDate,
-            createdBy: clientIP,
-            isActive: true,
-            validityPeriod: validityMinutes
-        };
-        
-        urlDatabase.set(shortCode, urlData);
-        clickAnalytics.set(shortCode, {
-            totalClicks: 0,
-            clicks: []
+        const results = urls.map((entry, index) => {
+            if (!entry || typeof entry !== 'object') {
+                urlLogger.validationError(`urls[${index}]`, entry, 'Entry must be an object');
+                return { index, success: false, status: 400, error: 'Entry must be an object' };
+            }
+            
+            const result = shortenUrl(entry, req.caller, req.hostname);
+            if (result.error) {
+                return { index, success: false, status: result.status, error: result.error, reason: result.reason };
+            }
+            return { index, success: true, data: result.data };
         });
         
-        // Log URL creation
-        urlLogger.urlCreated(originalUrl, shortCode, expiryDate);
+        const created = results.filter(result => result.success).length;
+        logger.info('url-creation', 'api', 
+            `Batch shorten from ${clientIP}: ${created} created, ${results.length - created} failed`);
         
         res.json({
             success: true,
             data: {
-                originalUrl,
-                shortCode,
-                shortUrl: `http://localhost:${PORT}/${shortCode}`,
-                expiryDate,
-                validityPeriod: validityMinutes
+                results,
+                created,
+                failed: results.length - created
             }
         });
         
     } catch (error) {
-        logger.error('url-creation', 'api', `Error creating short URL: ${error.message}`);
+        logger.error('url-creation', 'api', `Error creating short URLs in batch: ${error.message}`);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get all URLs for statistics
-app.get('/api/urls', (req, res) => {
+// Get the caller's URLs for statistics (bot clicks excluded unless ?includeBots=true)
+app.get('/api/urls', authenticate, (req, res) => {
     try {
-        const urls = Array.from(urlDatabase.values()).map(url => {
-            const analytics = clickAnalytics.get(url.shortCode) || { totalClicks: 0, clicks: [] };
+        const includeBots = req.query.includeBots === 'true';
+        const urls = store.listUrls().filter(url => ownsUrl(req.caller, url)).map(url => {
+            const analytics = store.getAnalytics(url.shortCode);
+            const summary = summarizeClicks(analytics.clicks, { includeBots });
             return {
-                ...url,
-                totalClicks: analytics.totalClicks,
-                isExpired: new Date() > url.expiryDate,
-                clickHistory: analytics.clicks.map(click => ({
+                ...publicUrlData(url),
+                ...getUrlStatus(url, clickCountsOf(analytics)),
+                totalClicks: summary.totalClicks,
+                botClicks: summary.botClicks,
+                clickHistory: summary.clicks.map(click => ({
                     timestamp: click.timestamp,
-                    location: click.location
+                    location: click.location,
+                    referrer: click.referrer || null
                 }))
             };
         });
@@ -181,100 +533,1104 @@ app.get('/api/urls', (req, res) => {
     }
 });
 
-// Get detailed analytics for a specific URL
-app.get('/api/analytics/:shortCode', (req, res) => {
+// Update an existing short URL (destination, expiry, active flag)
+app.patch('/api/urls/:shortCode', authenticate, (req, res) => {
     try {
         const { shortCode } = req.params;
+        const { originalUrl, expiryDate, extendBy, isActive, forwardUtm } = req.body;
         
-        const urlData = urlDatabase.get(shortCode);
-        if (!urlData) {
+        const urlData = store.getUrl(shortCode);
+        if (!urlData || !ownsUrl(req.caller, urlData)) {
             return res.status(404).json({ error: 'Short URL not found' });
         }
         
-        const analytics = clickAnalytics.get(shortCode) || { totalClicks: 0, clicks: [] };
+        const changes = {};
+        
+        if (originalUrl !== undefined) {
+            const rejection = checkDestination(originalUrl, req.hostname);
+            if (rejection) {
+                return res.status(400).json({ error: rejection.message, reason: rejection.reason });
+            }
+            changes.originalUrl = originalUrl;
+        }
+        
+        if (expiryDate !== undefined && extendBy !== undefined) {
+            urlLogger.validationError('expiryDate', expiryDate, 'Provide either expiryDate or extendBy, not both');
+            return res.status(400).json({ error: 'Provide either expiryDate or extendBy, not both' });
+        }
+        
+        if (expiryDate !== undefined) {
+            const newExpiry = new Date(expiryDate);
+            if (isNaN(newExpiry.getTime())) {
+                urlLogger.validationError('expiryDate', expiryDate, 'Invalid expiry date');
+                return res.status(400).json({ error: 'Invalid expiry date' });
+            }
+            changes.expiryDate = newExpiry;
+        }
+        
+        if (extendBy !== undefined) {
+            if (!Number.isFinite(extendBy)) {
+                urlLogger.validationError('extendBy', extendBy, 'Extension must be a number of minutes');
+                return res.status(400).json({ error: 'Extension must be a number of minutes' });
+            }
+            changes.expiryDate = new Date(urlData.expiryDate.getTime() + extendBy * 60 * 1000);
+        }
+        
+        if (changes.expiryDate && changes.expiryDate <= (urlData.activeFrom || urlData.createdAt)) {
+            urlLogger.validationError('expiryDate', changes.expiryDate, 'Expiry date must be after creation and activation date');
+            return res.status(400).json({ error: 'Expiry date must be after creation and activation date' });
+        }
+        
+        // A link revived before archival is reported again when it next expires
+        if (changes.expiryDate && urlData.expiredAt && changes.expiryDate > new Date()) {
+            changes.expiredAt = null;
+        }
+        
+        if (isActive !== undefined) {
+            if (typeof isActive !== 'boolean') {
+                urlLogger.validationError('isActive', isActive, 'isActive must be a boolean');
+                return res.status(400).json({ error: 'isActive must be a boolean' });
+            }
+            changes.isActive = isActive;
+        }
+        
+        if (forwardUtm !== undefined) {
+            if (typeof forwardUtm !== 'boolean') {
+                urlLogger.validationError('forwardUtm', forwardUtm, 'forwardUtm must be a boolean');
+                return res.status(400).json({ error: 'forwardUtm must be a boolean' });
+            }
+            changes.forwardUtm = forwardUtm;
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            urlLogger.validationError('body', JSON.stringify(req.body), 'No updatable fields provided');
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        const updated = store.updateUrl(shortCode, changes);
+        
+        // Log URL update
+        urlLogger.urlUpdated(shortCode, changes);
         
         res.json({
             success: true,
             data: {
-                ...urlData,
-                totalClicks: analytics.totalClicks,
-                clickHistory: analytics.clicks,
-                isExpired: new Date() > urlData.expiryDate
+                ...publicUrlData(updated),
+                ...getUrlStatus(updated, clickCountsOf(store.getAnalytics(shortCode)))
             }
         });
         
     } catch (error) {
-        logger.error('analytics-retrieval', 'api', `Error retrieving analytics: ${error.message}`);
+        logger.error('url-update', 'api', `Error updating short URL: ${error.message}`);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Redirect short URL to original URL
-app.get('/:shortCode', (req, res) => {
+// Delete a short URL and its click analytics
+app.delete('/api/urls/:shortCode', authenticate, (req, res) => {
     try {
         const { shortCode } = req.params;
-        const clientIP = getClientIP(req);
-        const userAgent = req.get('User-Agent') || 'unknown';
         
-        const urlData = urlDatabase.get(shortCode);
-        
-        if (!urlData) {
-            urlLogger.invalidUrl(shortCode, clientIP);
+        const urlData = store.getUrl(shortCode);
+        if (!urlData || !ownsUrl(req.caller, urlData)) {
             return res.status(404).json({ error: 'Short URL not found' });
         }
         
-        // Check if URL has expired
-        if (new Date() > urlData.expiryDate) {
-            urlLogger.urlExpired(shortCode, urlData.originalUrl);
-            return res.status(410).json({ 
-                error: 'Short URL has expired',
-                expiredAt: urlData.expiryDate
-            });
+        store.deleteUrl(shortCode);
+        
+        // Log URL deletion
+        urlLogger.urlDeleted(shortCode, urlData.originalUrl);
+        
+        res.json({
+            success: true,
+            data: { shortCode }
+        });
+        
+    } catch (error) {
+        logger.error('url-deletion', 'api', `Error deleting short URL: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Remove a link and everything recorded about it from storage for good (the
+// journal or database is rewritten, not just marked)
+function eraseLink(res, shortCode) {
+    const clicks = store.getAnalytics(shortCode).clicks.length;
+    store.eraseUrl(shortCode);
+    unlockThrottle.reset(shortCode);
+    
+    urlLogger.urlErased(shortCode, clicks);
+    res.json({
+        success: true,
+        data: { shortCode, erasedClicks: clicks }
+    });
+}
+
+// Erase one of the caller's links with its click history
+app.delete('/api/urls/:shortCode/data', authenticate, (req, res) => {
+    try {
+        const { shortCode } = req.params;
+        
+        const urlData = store.getUrl(shortCode);
+        if (!urlData || !ownsUrl(req.caller, urlData)) {
+            return res.status(404).json({ error: 'Short URL not found' });
         }
         
-        // Record click analytics
-        const analytics = clickAnalytics.get(shortCode);
-        const location = getCoarseLocation(clientIP);
+        eraseLink(res, shortCode);
+        
+    } catch (error) {
+        logger.error('url-erasure', 'api', `Error erasing short URL data: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Archived link as returned by the archive API; archive entries keep the link's id
+function publicArchivedData(record) {
+    return {
+        ...publicUrlData(record.url),
+        archivedAt: record.archivedAt,
+        totalClicks: record.analytics.totalClicks
+    };
+}
+
+// The caller's archived (expired) links, most recently archived first
+app.get('/api/archive', authenticate, (req, res) => {
+    try {
+        const archived = store.listArchived()
+            .filter(record => ownsUrl(req.caller, record.url))
+            .sort((a, b) => b.archivedAt - a.archivedAt);
         
-        analytics.totalClicks++;
-        analytics.clicks.push({
-            timestamp: new Date(),
-            ip: clientIP,
-            userAgent,
-            location
+        res.json({
+            success: true,
+            data: archived.map(publicArchivedData)
         });
         
-        // Log URL access
-        urlLogger.urlAccessed(shortCode, urlData.originalUrl, userAgent, clientIP, location);
+    } catch (error) {
+        logger.error('url-archive', 'api', `Error listing archived URLs: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// One archived link with the analytics it had when archived
+app.get('/api/archive/:id', authenticate, (req, res) => {
+    try {
+        const includeBots = req.query.includeBots === 'true';
+        
+        const record = store.getArchived(req.params.id);
+        if (!record || !ownsUrl(req.caller, record.url)) {
+            return res.status(404).json({ error: 'Archived URL not found' });
+        }
         
-        // Redirect to original URL
-        res.redirect(urlData.originalUrl);
+        const summary = summarizeClicks(record.analytics.clicks, { includeBots });
+        res.json({
+            success: true,
+            data: {
+                ...publicArchivedData(record),
+                botClicks: summary.botClicks,
+                breakdown: buildBreakdown(summary.clicks, record.analytics.clicks),
+                clickHistory: summary.clicks
+            }
+        });
         
     } catch (error) {
-        logger.error('url-redirect', 'api', `Error redirecting URL: ${error.message}`);
+        logger.error('url-archive', 'api', `Error retrieving archived URL: ${error.message}`);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+// Erase an archived link and its analytics
+app.delete('/api/archive/:id', authenticate, (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const record = store.getArchived(id);
+        if (!record || !ownsUrl(req.caller, record.url)) {
+            return res.status(404).json({ error: 'Archived URL not found' });
+        }
+        
+        store.deleteArchived(id);
+        urlLogger.urlErased(record.shortCode, record.analytics.clicks.length);
+        
+        res.json({
+            success: true,
+            data: { id, shortCode: record.shortCode }
+        });
+        
+    } catch (error) {
+        logger.error('url-archive', 'api', `Error erasing archived URL: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Parse ?interval=minute|hour|day&from&to&timezone&includeBots for the timeseries routes.
+// Returns { error } or the parsed options.
+function parseTimeseriesQuery(query) {
+    const interval = query.interval || 'hour';
+    if (typeof interval !== 'string' || !Object.hasOwn(INTERVALS, interval)) {
+        urlLogger.validationError('interval', interval, 'Interval must be minute, hour or day');
+        return { error: 'Interval must be minute, hour or day' };
+    }
+    
+    const timeZone = query.timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+        urlLogger.validationError('timezone', timeZone, 'Unknown time zone');
+        return { error: 'Unknown time zone' };
+    }
+    
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - INTERVALS[interval].defaultRangeMs);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        urlLogger.validationError('from/to', `${query.from} - ${query.to}`, 'Invalid date range');
+        return { error: 'Invalid date range' };
+    }
+    if (from > to) {
+        urlLogger.validationError('from/to', `${query.from} - ${query.to}`, 'from must be before to');
+        return { error: 'from must be before to' };
+    }
+    
+    return { interval, timeZone, from, to, includeBots: query.includeBots === 'true' };
+}
+
+// Respond with bucketed click counts over the given clicks
+function sendTimeseries(res, clicks, options, extra = {}) {
+    const { interval, timeZone, from, to, includeBots } = options;
+    const series = buildTimeseries(summarizeClicks(clicks, { includeBots }).clicks, { interval, from, to, timeZone });
+    
+    if (!series) {
+        urlLogger.validationError('from/to', `${from.toISOString()} - ${to.toISOString()}`, 'Range has too many buckets for this interval');
+        return res.status(400).json({ error: 'Range has too many buckets for this interval; narrow it or use a larger interval' });
+    }
+    
     res.json({
         success: true,
-        message: 'URL Shortener API is running',
-        timestamp: new Date().toISOString(),
-        totalUrls: urlDatabase.size,
-        activeUrls: Array.from(urlDatabase.values()).filter(url => new Date() <= url.expiryDate).length
+        data: {
+            ...extra,
+            interval,
+            timezone: timeZone,
+            from,
+            to,
+            totalClicks: series.total,
+            buckets: series.buckets
+        }
     });
-});
+}
 
-// Error handling middleware
-app.use(errorLoggingMiddleware);
+// Clicks over time across all of the caller's URLs
+app.get('/api/analytics/timeseries', authenticate, (req, res) => {
+    try {
+        const options = parseTimeseriesQuery(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const clicks = store.listUrls()
+            .filter(url => ownsUrl(req.caller, url))
+            .flatMap(url => store.getAnalytics(url.shortCode).clicks);
+        
+        sendTimeseries(res, clicks, options);
+        
+    } catch (error) {
+        logger.error('analytics-retrieval', 'api', `Error retrieving click timeseries: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-// Start server
-app.listen(PORT, () => {
-    logger.info('server-startup', 'main', `URL Shortener API server running on port ${PORT}`);
-    console.log(`🚀 URL Shortener API server running on http://localhost:${PORT}`);
-    console.log(`📊 Health check available at http://localhost:${PORT}/api/health`);
+// Clicks over time for a specific URL
+app.get('/api/analytics/:shortCode/timeseries', authenticate, (req, res) => {
+    try {
+        const { shortCode } = req.params;
+        
+        const urlData = store.getUrl(shortCode);
+        if (!urlData || !ownsUrl(req.caller, urlData)) {
+            return res.status(404).json({ error: 'Short URL not found' });
+        }
+        
+        const options = parseTimeseriesQuery(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        sendTimeseries(res, store.getAnalytics(shortCode).clicks, options, { shortCode });
+        
+    } catch (error) {
+        logger.error('analytics-retrieval', 'api', `Error retrieving click timeseries: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
+// Get detailed analytics for a specific URL (bot clicks excluded unless ?includeBots=true)
+app.get('/api/analytics/:shortCode', authenticate, (req, res) => {
+    try {
+        const { shortCode } = req.params;
+        const includeBots = req.query.includeBots === 'true';
+        
+        const urlData = store.getUrl(shortCode);
+        if (!urlData || !ownsUrl(req.caller, urlData)) {
+            return res.status(404).json({ error: 'Short URL not found' });
+        }
+        
+        const analytics = store.getAnalytics(shortCode);
+        const summary = summarizeClicks(analytics.clicks, { includeBots });
+        
+        res.json({
+            success: true,
+            data: {
+                ...publicUrlData(urlData),
+                ...getUrlStatus(urlData, clickCountsOf(analytics)),
+                totalClicks: summary.totalClicks,
+                botClicks: summary.botClicks,
+                breakdown: buildBreakdown(summary.clicks, analytics.clicks),
+                clickHistory: summary.clicks
+            }
+        });
+        
+    } catch (error) {
+        logger.error('analytics-retrieval', 'api', `Error retrieving analytics: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Parse the format and optional click date range of an export request.
+// Returns { format, from, to, includeBots } or { error }.
+function parseExportQuery(query) {
+    const format = query.format || 'csv';
+    if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+        urlLogger.validationError('format', format, 'Format must be csv or ndjson');
+        return { error: 'Format must be csv or ndjson' };
+    }
+    
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        urlLogger.validationError('from/to', `${query.from} - ${query.to}`, 'Invalid date range');
+        return { error: 'Invalid date range' };
+    }
+    if (from && to && from > to) {
+        urlLogger.validationError('from/to', `${query.from} - ${query.to}`, 'from must be before to');
+        return { error: 'from must be before to' };
+    }
+    
+    return { format, from, to, includeBots: query.includeBots === 'true' };
+}
+
+// Clicks inside the export's date range (bots excluded unless requested)
+function clicksInRange(clicks, { from, to, includeBots }) {
+    const inRange = clicks.filter(click =>
+        (!from || click.timestamp >= from) && (!to || click.timestamp <= to));
+    return summarizeClicks(inRange, { includeBots });
+}
+
+function exportFileDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Export the caller's URLs; click counts cover the requested date range
+app.get('/api/export/urls', authenticate, (req, res) => {
+    try {
+        const options = parseExportQuery(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const urls = store.listUrls().filter(url => ownsUrl(req.caller, url));
+        const records = urls.map(url => {
+            const summary = clicksInRange(store.getAnalytics(url.shortCode).clicks, options);
+            return {
+                ...publicUrlData(url),
+                shortUrl: shortUrlFor(url.shortCode),
+                totalClicks: summary.totalClicks,
+                botClicks: summary.botClicks
+            };
+        });
+        
+        logger.info('data-export', 'api', `Exporting ${records.length} URLs as ${options.format}`);
+        sendExport(res, {
+            records: records.map(urlRecord),
+            columns: URL_COLUMNS,
+            format: options.format,
+            baseName: `urls-${exportFileDate()}`,
+            onError: error => logger.error('data-export', 'api', `Error streaming URL export: ${error.message}`)
+        });
+        
+    } catch (error) {
+        logger.error('data-export', 'api', `Error exporting URLs: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Export the individual clicks of one URL
+app.get('/api/export/analytics/:shortCode', authenticate, (req, res) => {
+    try {
+        const { shortCode } = req.params;
+        const options = parseExportQuery(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const urlData = store.getUrl(shortCode);
+        if (!urlData || !ownsUrl(req.caller, urlData)) {
+            return res.status(404).json({ error: 'Short URL not found' });
+        }
+        
+        const { clicks } = clicksInRange(store.getAnalytics(shortCode).clicks, options);
+        
+        logger.info('data-export', 'api', `Exporting ${clicks.length} clicks of ${shortCode} as ${options.format}`);
+        sendExport(res, {
+            records: clicks.map(clickRecord),
+            columns: CLICK_COLUMNS,
+            format: options.format,
+            baseName: `clicks-${shortCode}-${exportFileDate()}`,
+            onError: error => logger.error('data-export', 'api', `Error streaming click export: ${error.message}`)
+        });
+        
+    } catch (error) {
+        logger.error('data-export', 'api', `Error exporting analytics: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// QR code for a short URL (PNG or SVG); public, like the short URL it encodes
+app.get('/api/qr/:shortCode', async (req, res) => {
+    try {
+        const { shortCode } = req.params;
+        const options = parseQrOptions(req.query);
+        if (options.error) {
+            urlLogger.validationError('qr', JSON.stringify(req.query), options.error);
+            return res.status(400).json({ error: options.error });
+        }
+        
+        if (!store.getUrl(shortCode)) {
+            return res.status(404).json({ error: 'Short URL not found' });
+        }
+        
+        const image = await renderQrCode(shortUrlFor(shortCode), options);
+        
+        logger.debug('qr-code', 'api', `Rendered ${options.format} QR code for ${shortCode} (${options.size}px, level ${options.level})`);
+        res.set('Content-Type', QR_FORMATS[options.format]);
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.send(image);
+        
+    } catch (error) {
+        logger.error('qr-code', 'api', `Error rendering QR code: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Describe the calling account and its quota usage
+app.get('/api/account', authenticate, (req, res) => {
+    try {
+        const { accountId, accountName, quota } = req.caller;
+        const clickCounts = store.listClickCounts();
+        const activeUrls = store.listUrls().filter(url => 
+            ownsUrl(req.caller, url) && holdsQuota(url, clickCounts)
+        ).length;
+        
+        res.json({
+            success: true,
+            data: {
+                accountId,
+                accountName,
+                quota,
+                activeUrls
+            }
+        });
+        
+    } catch (error) {
+        logger.error('account-retrieval', 'api', `Error retrieving account: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: create an account
+app.post('/api/admin/accounts', requireAdmin, (req, res) => {
+    try {
+        const { name, quota } = req.body;
+        
+        if (!name || typeof name !== 'string') {
+            urlLogger.validationError('name', name, 'Account name is required');
+            return res.status(400).json({ error: 'Account name is required' });
+        }
+        
+        if (quota !== undefined && (!Number.isInteger(quota) || quota < 0)) {
+            urlLogger.validationError('quota', quota, 'Quota must be a non-negative integer');
+            return res.status(400).json({ error: 'Quota must be a non-negative integer' });
+        }
+        
+        const account = store.createAccount({
+            id: uuidv4(),
+            name,
+            quota: quota === undefined ? config.auth.defaultAccountQuota : quota,
+            createdAt: new Date()
+        });
+        
+        authLogger.accountCreated(account.id, account.name, account.quota);
+        
+        res.status(201).json({
+            success: true,
+            data: account
+        });
+        
+    } catch (error) {
+        logger.error('account-creation', 'api', `Error creating account: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: list accounts
+app.get('/api/admin/accounts', requireAdmin, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: store.listAccounts()
+        });
+        
+    } catch (error) {
+        logger.error('account-retrieval', 'api', `Error retrieving accounts: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: change an account's name or quota
+app.patch('/api/admin/accounts/:accountId', requireAdmin, (req, res) => {
+    try {
+        const { accountId } = req.params;
+        const { name, quota } = req.body;
+        
+        if (!store.getAccount(accountId)) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        
+        const changes = {};
+        
+        if (name !== undefined) {
+            if (!name || typeof name !== 'string') {
+                urlLogger.validationError('name', name, 'Account name must be a non-empty string');
+                return res.status(400).json({ error: 'Account name must be a non-empty string' });
+            }
+            changes.name = name;
+        }
+        
+        if (quota !== undefined) {
+            if (!Number.isInteger(quota) || quota < 0) {
+                urlLogger.validationError('quota', quota, 'Quota must be a non-negative integer');
+                return res.status(400).json({ error: 'Quota must be a non-negative integer' });
+            }
+            changes.quota = quota;
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            urlLogger.validationError('body', JSON.stringify(req.body), 'No updatable fields provided');
+            return res.status(400).json({ error: 'No updatable fields provided' });
+        }
+        
+        const account = store.updateAccount(accountId, changes);
+        authLogger.accountUpdated(accountId, changes);
+        
+        res.json({
+            success: true,
+            data: account
+        });
+        
+    } catch (error) {
+        logger.error('account-update', 'api', `Error updating account: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: issue a new API key. The plaintext key is only ever returned here.
+app.post('/api/admin/accounts/:accountId/keys', requireAdmin, (req, res) => {
+    try {
+        const { accountId } = req.params;
+        
+        if (!store.getAccount(accountId)) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        
+        const key = generateApiKey();
+        const apiKey = store.createApiKey({
+            id: uuidv4(),
+            accountId,
+            keyHash: hashApiKey(key),
+            prefix: key.slice(0, 8),
+            createdAt: new Date(),
+            revokedAt: null
+        });
+        
+        authLogger.keyIssued(apiKey.id, accountId);
+        
+        const { keyHash, ...publicKey } = apiKey;
+        res.status(201).json({
+            success: true,
+            data: {
+                ...publicKey,
+                key
+            }
+        });
+        
+    } catch (error) {
+        logger.error('api-key-issue', 'api', `Error issuing API key: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: list an account's API keys (without secrets)
+app.get('/api/admin/accounts/:accountId/keys', requireAdmin, (req, res) => {
+    try {
+        const { accountId } = req.params;
+        
+        if (!store.getAccount(accountId)) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        
+        res.json({
+            success: true,
+            data: store.listApiKeys(accountId).map(({ keyHash, ...publicKey }) => publicKey)
+        });
+        
+    } catch (error) {
+        logger.error('api-key-retrieval', 'api', `Error retrieving API keys: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: revoke an API key
+app.delete('/api/admin/keys/:keyId', requireAdmin, (req, res) => {
+    try {
+        const { keyId } = req.params;
+        
+        const apiKey = store.getApiKey(keyId);
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        
+        const revoked = apiKey.revokedAt ? apiKey : store.updateApiKey(keyId, { revokedAt: new Date() });
+        if (!apiKey.revokedAt) {
+            authLogger.keyRevoked(keyId, apiKey.accountId);
+        }
+        
+        const { keyHash, ...publicKey } = revoked;
+        res.json({
+            success: true,
+            data: publicKey
+        });
+        
+    } catch (error) {
+        logger.error('api-key-revocation', 'api', `Error revoking API key: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: erase any link with its click history, e.g. for a data deletion request
+app.delete('/api/admin/urls/:shortCode/data', requireAdmin, (req, res) => {
+    try {
+        const { shortCode } = req.params;
+        
+        if (!store.getUrl(shortCode)) {
+            return res.status(404).json({ error: 'Short URL not found' });
+        }
+        
+        eraseLink(res, shortCode);
+        
+    } catch (error) {
+        logger.error('url-erasure', 'api', `Error erasing short URL data: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: re-read the destination allow/deny list file
+app.post('/api/admin/destination-policy/reload', requireAdmin, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: destinationPolicy.reload()
+        });
+        
+    } catch (error) {
+        logger.error('destination-policy', 'api', `Error reloading destination list: ${error.message}`);
+        res.status(500).json({ error: 'Failed to reload destination list' });
+    }
+});
+
+// Browsers (Accept: text/html) get rendered pages; API clients and */* get JSON
+function wantsHtml(req) {
+    return req.accepts(['json', 'html']) === 'html';
+}
+
+// Answer a short link that cannot be followed, as an HTML page or JSON `body`
+function sendLinkStatus(req, res, status, reason, body) {
+    linkStatusResponses.inc({ status, reason });
+    if (wantsHtml(req)) {
+        return res.status(status).type('html').send(renderLinkStatusPage(reason, body));
+    }
+    res.status(status).json(body);
+}
+
+// Admin: current minimum log level and per-package overrides
+app.get('/api/admin/log-levels', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: logLevels.describe()
+    });
+});
+
+// Admin: change log levels at runtime, e.g. { "minLevel": "DEBUG", "packageLevels": { "db-operations": null } }
+app.patch('/api/admin/log-levels', requireAdmin, (req, res) => {
+    try {
+        const { minLevel, packageLevels } = req.body;
+        const result = logLevels.update({ minLevel, packageLevels });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        // Logged as a warning so the change shows up under any minimum level
+        logger.warn('log-levels', 'api', `Log levels changed: ${JSON.stringify(result.levels)}`);
+        res.json({
+            success: true,
+            data: result.levels
+        });
+        
+    } catch (error) {
+        logger.error('log-levels', 'api', `Error updating log levels: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+const LOG_SEARCH_MAX_LIMIT = 500;
+
+// Validate /api/logs query parameters into search filters and paging
+function parseLogQuery(query) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        urlLogger.validationError('from/to', `${query.from} - ${query.to}`, 'Invalid date range');
+        return { error: 'Invalid date range' };
+    }
+    if (from && to && from > to) {
+        urlLogger.validationError('from/to', `${query.from} - ${query.to}`, 'from must be before to');
+        return { error: 'from must be before to' };
+    }
+    
+    // One level or a comma-separated list, e.g. "ERROR,WARN"
+    let levels = null;
+    if (query.level) {
+        levels = String(query.level).split(',').map(level => level.trim().toUpperCase()).filter(Boolean);
+        const unknown = levels.find(level => !Object.values(LOG_LEVELS).includes(level));
+        if (unknown) {
+            urlLogger.validationError('level', query.level, `Unknown log level: ${unknown}`);
+            return { error: `Unknown log level: ${unknown}` };
+        }
+    }
+    
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? 50 : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) {
+        urlLogger.validationError('page', query.page, 'page must be a positive integer');
+        return { error: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > LOG_SEARCH_MAX_LIMIT) {
+        urlLogger.validationError('limit', query.limit, `limit must be between 1 and ${LOG_SEARCH_MAX_LIMIT}`);
+        return { error: `limit must be between 1 and ${LOG_SEARCH_MAX_LIMIT}` };
+    }
+    
+    return {
+        filters: {
+            from,
+            to,
+            levels,
+            package: query.package || null,
+            stack: query.stack || null,
+            requestId: query.requestId || null,
+            text: query.q || null
+        },
+        paging: { page, limit }
+    };
+}
+
+// Admin: search the local log files (including rotated .gz files), newest first.
+// Filters: from, to, level, package, stack, requestId, q (text in the message).
+app.get('/api/logs', requireAdmin, async (req, res) => {
+    try {
+        const options = parseLogQuery(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const result = await searchLogs(config.logging.file, options.filters, options.paging);
+        if (result.unreadableFiles.length > 0) {
+            logger.warn('log-search', 'api', `Skipped unreadable log files: ${result.unreadableFiles.join(', ')}`);
+        }
+        logger.debug('log-search', 'api', `Log search matched ${result.pagination.total} entries`);
+        res.json({
+            success: true,
+            data: result.logs,
+            pagination: result.pagination
+        });
+        
+    } catch (error) {
+        logger.error('log-search', 'api', `Error searching logs: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Send the error response for a link that cannot be followed (missing, deactivated,
+// not yet active, expired or out of clicks). Returns the looked-up URL data when the link is usable,
+// otherwise null.
+function findUsableUrl(req, res, shortCode) {
+    const clientIP = getClientIP(req);
+    const urlData = store.getUrl(shortCode);
+    
+    if (!urlData) {
+        // Archived links answer like expired ones until their code is reused
+        const archived = store.findArchivedByShortCode(shortCode);
+        if (archived) {
+            urlLogger.urlExpired(shortCode, archived.url.originalUrl);
+            sendLinkStatus(req, res, 410, 'expired', { 
+                error: 'Short URL has expired',
+                expiredAt: archived.url.expiryDate
+            });
+            return null;
+        }
+        urlLogger.invalidUrl(shortCode, clientIP);
+        sendLinkStatus(req, res, 404, 'not-found', { error: 'Short URL not found' });
+        return null;
+    }
+    
+    // Check if URL has been deactivated
+    if (!urlData.isActive) {
+        urlLogger.urlInactive(shortCode, urlData.originalUrl);
+        sendLinkStatus(req, res, 403, 'disabled', { error: 'Short URL has been deactivated' });
+        return null;
+    }
+    
+    // Check if a scheduled URL has not started yet
+    if (urlData.activeFrom && new Date() < urlData.activeFrom) {
+        urlLogger.urlNotYetActive(shortCode, urlData.originalUrl, urlData.activeFrom);
+        res.set('Retry-After', String(Math.ceil((urlData.activeFrom - Date.now()) / 1000)));
+        sendLinkStatus(req, res, 403, 'scheduled', { 
+            error: 'Short URL is not active yet',
+            activeFrom: urlData.activeFrom
+        });
+        return null;
+    }
+    
+    // Check if URL has expired
+    if (new Date() > urlData.expiryDate) {
+        urlLogger.urlExpired(shortCode, urlData.originalUrl);
+        sendLinkStatus(req, res, 410, 'expired', { 
+            error: 'Short URL has expired',
+            expiredAt: urlData.expiryDate
+        });
+        return null;
+    }
+    
+    // Check if a click-limited URL has used up its clicks
+    if (urlData.maxClicks) {
+        if (getClickLimitStatus(urlData, clickCountsOf(store.getAnalytics(shortCode))).isExhausted) {
+            urlLogger.clickLimitReached(shortCode, urlData.originalUrl, urlData.maxClicks);
+            sendLinkStatus(req, res, 410, 'exhausted', { 
+                error: 'Short URL click limit reached',
+                maxClicks: urlData.maxClicks
+            });
+            return null;
+        }
+    }
+    
+    return urlData;
+}
+
+// Describe where a short link leads without following it or recording a click
+function sendPreview(req, res, urlData) {
+    const preview = {
+        shortCode: urlData.shortCode,
+        originalUrl: urlData.passwordHash ? null : urlData.originalUrl,
+        createdAt: urlData.createdAt,
+        activeFrom: urlData.activeFrom,
+        expiryDate: urlData.expiryDate,
+        isProtected: Boolean(urlData.passwordHash)
+    };
+    
+    logger.info('url-preview', 'url-shortener', `Short URL previewed: ${urlData.shortCode}`);
+    if (wantsHtml(req)) {
+        return res.type('html').send(renderPreviewPage(preview));
+    }
+    res.json({ success: true, data: preview });
+}
+
+// Record the click and redirect to the original URL.
+// Callers run findUsableUrl and this in the same synchronous turn, so no other
+// request can record a click in between and click limits are never overshot.
+// `referer` defaults to the request header; unlocks pass the one captured by the form.
+function followUrl(req, res, urlData, referer = req.get('Referer')) {
+    const { shortCode } = urlData;
+    const clientIP = getClientIP(req);
+    const userAgent = req.get('User-Agent') || 'unknown';
+    
+    // Record click analytics
+    const location = geoDatabase.lookup(clientIP);
+    
+    const { browser, os, deviceType, isBot, botName } = parseUserAgent(userAgent);
+    const referrer = normalizeReferrer(referer);
+    const utm = extractUtm(req.query);
+    
+    store.recordClick(shortCode, {
+        timestamp: new Date(),
+        // Location is looked up from the full address before it is anonymized
+        ip: anonymizeIp(clientIP, config.privacy.clickIpMode, config.privacy.hashSalt),
+        userAgent,
+        location,
+        browser,
+        os,
+        deviceType,
+        isBot,
+        botName,
+        referrer,
+        utm
+    });
+    
+    redirectsServed.inc();
+    
+    // Log URL access
+    urlLogger.urlAccessed(shortCode, urlData.originalUrl, userAgent, clientIP, formatLocation(location), referrer);
+    
+    // Redirect to original URL, passing campaign parameters along if the link asks for it
+    res.redirect(urlData.forwardUtm ? appendUtm(urlData.originalUrl, utm) : urlData.originalUrl);
+}
+
+// Query string of the request ("?utm_source=..."), or '' when there is none
+function querySuffix(req) {
+    const index = req.originalUrl.indexOf('?');
+    return index === -1 ? '' : req.originalUrl.slice(index);
+}
+
+// Unlock form options that keep the click's attribution across the password prompt
+function unlockPageOptions(req, referrer, error) {
+    return { error, search: querySuffix(req), referrer: referrer || '' };
+}
+
+// Prometheus metrics; registered before the short URL routes so "metrics" is not
+// taken for a short code
+app.get('/metrics', (req, res) => {
+    try {
+        if (config.metrics.token && !tokenMatches(req.get('Authorization'), `Bearer ${config.metrics.token}`)) {
+            authLogger.authFailed('invalid metrics token', getClientIP(req));
+            return res.status(401).json({ error: 'Invalid metrics token' });
+        }
+        
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+        
+    } catch (error) {
+        logger.error('metrics', 'api', `Error rendering metrics: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Redirect short URL to original URL; a trailing "+" (/:shortCode+) previews it instead
+app.get('/:shortCode', rateLimits.redirect, rateLimits.notFound, (req, res) => {
+    try {
+        const isPreview = req.params.shortCode.endsWith('+');
+        const shortCode = isPreview ? req.params.shortCode.slice(0, -1) : req.params.shortCode;
+        
+        const urlData = findUsableUrl(req, res, shortCode);
+        if (!urlData) {
+            return;
+        }
+        
+        if (isPreview) {
+            return sendPreview(req, res, urlData);
+        }
+        
+        // Protected links ask for the password first; the click is recorded on unlock
+        if (urlData.passwordHash) {
+            return res.status(401).type('html').send(
+                renderUnlockPage(shortCode, unlockPageOptions(req, req.get('Referer'))));
+        }
+        
+        followUrl(req, res, urlData);
+        
+    } catch (error) {
+        logger.error('url-redirect', 'api', `Error redirecting URL: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unlock a password-protected short URL
+app.post('/:shortCode', rateLimits.redirect, rateLimits.notFound, (req, res) => {
+    try {
+        const { shortCode } = req.params;
+        const clientIP = getClientIP(req);
+        
+        const urlData = findUsableUrl(req, res, shortCode);
+        if (!urlData) {
+            return;
+        }
+        
+        const { password, referrer } = req.body;
+        
+        if (!urlData.passwordHash) {
+            return followUrl(req, res, urlData, referrer);
+        }
+        
+        const lockedFor = unlockThrottle.lockedFor(shortCode);
+        if (lockedFor > 0) {
+            urlLogger.unlockThrottled(shortCode, clientIP);
+            res.set('Retry-After', String(Math.ceil(lockedFor / 1000)));
+            return res.status(429).type('html').send(
+                renderUnlockPage(shortCode, unlockPageOptions(req, referrer,
+                    'Too many failed attempts. Please try again later.')));
+        }
+        
+        if (!password || !verifyPassword(password, urlData.passwordHash)) {
+            const attempts = unlockThrottle.recordFailure(shortCode);
+            urlLogger.passwordFailed(shortCode, clientIP, attempts);
+            return res.status(401).type('html').send(
+                renderUnlockPage(shortCode, unlockPageOptions(req, referrer, 'Incorrect password.')));
+        }
+        
+        unlockThrottle.reset(shortCode);
+        followUrl(req, res, urlData, referrer);
+        
+    } catch (error) {
+        logger.error('url-redirect', 'api', `Error unlocking URL: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    const urls = store.listUrls();
+    const clickCounts = store.listClickCounts();
+    res.json({
+        success: true,
+        message: 'URL Shortener API is running',
+        timestamp: new Date().toISOString(),
+        totalUrls: urls.length,
+        activeUrls: urls.filter(url => url.isActive && holdsQuota(url, clickCounts)).length
+    });
+});
+
+// Error handling middleware
+app.use(errorLoggingMiddleware);
+
+// Start server
+const server = app.listen(PORT, () => {
+    logger.info('server-startup', 'main', `URL Shortener API server running on port ${PORT}`);
+    console.log(`🚀 URL Shortener API server running on http://localhost:${PORT}`);
+    console.log(`📊 Health check available at http://localhost:${PORT}/api/health`);
+});
+
+// Stop accepting requests and flush logs before exiting
+let shuttingDown = false;
+function shutdown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    logger.info('server-shutdown', 'main', `Received ${signal}, shutting down`);
+    server.close();
+    closeLogs().finally(() => process.exit(0));
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 module.exports = app;
@@ -0,0 +1,50 @@
+// Traffic attribution for clicks: referrer domains and UTM campaign parameters
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Normalize a Referer header to a bare domain ("https://www.Example.com/x" -> "example.com").
+// Returns null for direct traffic or unparseable values.
+function normalizeReferrer(referer) {
+    if (!referer) {
+        return null;
+    }
+    try {
+        const { hostname } = new URL(referer);
+        return hostname ? hostname.toLowerCase().replace(/^www\./, '') : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Collect utm_* query parameters into { source, medium, campaign, term, content },
+// or null when none are present
+function extractUtm(query) {
+    const utm = {};
+    UTM_FIELDS.forEach(field => {
+        const value = query[`utm_${field}`];
+        if (typeof value === 'string' && value.trim()) {
+            utm[field] = value.trim().slice(0, 200);
+        }
+    });
+    return Object.keys(utm).length ? utm : null;
+}
+
+// Add UTM parameters to a destination URL without overriding ones it already carries
+function appendUtm(originalUrl, utm) {
+    if (!utm) {
+        return originalUrl;
+    }
+    const url = new URL(originalUrl);
+    Object.keys(utm).forEach(field => {
+        if (!url.searchParams.has(`utm_${field}`)) {
+            url.searchParams.set(`utm_${field}`, utm[field]);
+        }
+    });
+    return url.toString();
+}
+
+module.exports = {
+    normalizeReferrer,
+    extractUtm,
+    appendUtm
+};
@@ -0,0 +1,115 @@
+// API key authentication and URL ownership
+const crypto = require('crypto');
+const { authLogger } = require('./server.js');
+
+const API_KEY_PREFIX = 'usk_';
+
+function generateApiKey() {
+    return API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function getClientIP(req) {
+    return req.ip || req.connection.remoteAddress || req.socket.remoteAddress || 'unknown';
+}
+
+// Read the key from `X-API-Key` or an `Authorization: Bearer` header
+function extractApiKey(req) {
+    const headerKey = req.get('X-API-Key');
+    if (headerKey) {
+        return headerKey.trim();
+    }
+    const authorization = req.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// Rate limiting key for a request: the presented API key's id when the key is valid,
+// otherwise the client IP, so made-up keys cannot be used to get fresh limits
+function rateLimitKey(store, req) {
+    const key = extractApiKey(req);
+    const apiKey = key ? store.getApiKeyByHash(hashApiKey(key)) : null;
+    return apiKey && !apiKey.revokedAt ? `key:${apiKey.id}` : `ip:${getClientIP(req)}`;
+}
+
+// Express middleware resolving the caller into req.caller:
+//   { accountId, accountName, quota, ip }
+// Callers without a key are anonymous (accountId null) and own links by IP,
+// unless the configuration requires a key.
+function createAuthMiddleware(store, authConfig) {
+    return function authMiddleware(req, res, next) {
+        const ip = getClientIP(req);
+        const key = extractApiKey(req);
+        
+        if (!key) {
+            if (authConfig.requireApiKey) {
+                authLogger.authFailed('missing API key', ip);
+                return res.status(401).json({ error: 'API key required' });
+            }
+            req.caller = { accountId: null, accountName: null, quota: authConfig.anonymousQuota, ip };
+            return next();
+        }
+        
+        const apiKey = store.getApiKeyByHash(hashApiKey(key));
+        if (!apiKey || apiKey.revokedAt) {
+            authLogger.authFailed(apiKey ? `revoked API key ${apiKey.id}` : 'unknown API key', ip);
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+        
+        const account = store.getAccount(apiKey.accountId);
+        if (!account) {
+            authLogger.authFailed(`API key ${apiKey.id} has no account`, ip);
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+        
+        req.caller = { accountId: account.id, accountName: account.name, quota: account.quota, ip };
+        next();
+    };
+}
+
+// Constant-time comparison of a presented token with the configured one
+function tokenMatches(given, expected) {
+    const token = Buffer.from(given || '');
+    const expectedToken = Buffer.from(expected);
+    return token.length === expectedToken.length && crypto.timingSafeEqual(token, expectedToken);
+}
+
+// Express middleware guarding the admin endpoints with the configured token
+function createAdminMiddleware(authConfig) {
+    return function adminMiddleware(req, res, next) {
+        const ip = getClientIP(req);
+        
+        if (!authConfig.adminToken) {
+            return res.status(403).json({ error: 'Admin API is disabled' });
+        }
+        
+        if (!tokenMatches(req.get('X-Admin-Token'), authConfig.adminToken)) {
+            authLogger.authFailed('invalid admin token', ip);
+            return res.status(401).json({ error: 'Invalid admin token' });
+        }
+        
+        next();
+    };
+}
+
+// Whether the caller owns the given URL record
+function ownsUrl(caller, urlData) {
+    if (caller.accountId) {
+        return urlData.ownerId === caller.accountId;
+    }
+    return !urlData.ownerId && urlData.createdBy === caller.ip;
+}
+
+module.exports = {
+    generateApiKey,
+    hashApiKey,
+    getClientIP,
+    createAuthMiddleware,
+    createAdminMiddleware,
+    tokenMatches,
+    rateLimitKey,
+    ownsUrl
+};
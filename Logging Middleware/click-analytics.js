@@ -0,0 +1,145 @@
+// Aggregation helpers over recorded clicks
+const { parseUserAgent } = require('./user-agent.js');
+
+// Clicks recorded before user-agent classification only carry the raw header
+function classifyClick(click) {
+    if (click.deviceType) {
+        return click;
+    }
+    return { ...click, ...parseUserAgent(click.userAgent) };
+}
+
+// Split clicks into those to report and the bot count. Bots are excluded
+// unless includeBots is set.
+function summarizeClicks(clicks, { includeBots = false } = {}) {
+    const classified = clicks.map(classifyClick);
+    const botClicks = classified.filter(click => click.isBot).length;
+    const reported = includeBots ? classified : classified.filter(click => !click.isBot);
+    return {
+        totalClicks: reported.length,
+        botClicks,
+        clicks: reported
+    };
+}
+
+function countBy(clicks, field) {
+    return clicks.reduce((counts, click) => {
+        const key = click[field] || 'Unknown';
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+// Per-field click counts for the analytics endpoint; bots are always counted
+// separately by name from the full click list
+function buildBreakdown(reportedClicks, allClicks) {
+    const campaignClicks = reportedClicks.filter(click => click.utm).map(click => click.utm);
+    return {
+        browsers: countBy(reportedClicks, 'browser'),
+        operatingSystems: countBy(reportedClicks, 'os'),
+        deviceTypes: countBy(reportedClicks, 'deviceType'),
+        bots: countBy(allClicks.map(classifyClick).filter(click => click.isBot), 'botName'),
+        referrers: countBy(reportedClicks.map(click => ({ referrer: click.referrer || 'Direct' })), 'referrer'),
+        utmSources: countBy(campaignClicks, 'source'),
+        utmMediums: countBy(campaignClicks, 'medium'),
+        utmCampaigns: countBy(campaignClicks, 'campaign')
+    };
+}
+
+const INTERVALS = {
+    minute: { stepMs: 60 * 1000, defaultRangeMs: 60 * 60 * 1000 },
+    hour: { stepMs: 60 * 60 * 1000, defaultRangeMs: 24 * 60 * 60 * 1000 },
+    // Local days are 23-25 hours long; stepping 25 hours always lands in the next day
+    day: { stepMs: 25 * 60 * 60 * 1000, defaultRangeMs: 30 * 24 * 60 * 60 * 1000 }
+};
+
+// Upper bound on buckets per series, to keep responses bounded
+const MAX_BUCKETS = 5000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+// Start (epoch ms) of the interval bucket containing `time`, in the given time zone
+function bucketStart(time, interval, timeZone) {
+    const seconds = Math.floor(time / 1000) * 1000;
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(seconds)).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const offset = localAsUtc - seconds;
+    const truncated = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        interval === 'day' ? 0 : parts.hour,
+        interval === 'minute' ? parts.minute : 0
+    );
+    return truncated - offset;
+}
+
+// Click counts per bucket between from and to (inclusive), with empty buckets filled in.
+// Returns null when the range would exceed MAX_BUCKETS.
+function buildTimeseries(clicks, { interval, from, to, timeZone }) {
+    const { stepMs } = INTERVALS[interval];
+    const buckets = new Map();
+
+    for (let start = bucketStart(from.getTime(), interval, timeZone); start <= to.getTime();
+        start = bucketStart(start + stepMs, interval, timeZone)) {
+        if (buckets.size >= MAX_BUCKETS) {
+            return null;
+        }
+        buckets.set(start, 0);
+    }
+
+    let total = 0;
+    clicks.forEach(click => {
+        const time = new Date(click.timestamp).getTime();
+        if (time < from.getTime() || time > to.getTime()) {
+            return;
+        }
+        const start = bucketStart(time, interval, timeZone);
+        if (buckets.has(start)) {
+            buckets.set(start, buckets.get(start) + 1);
+            total++;
+        }
+    });
+
+    return {
+        total,
+        buckets: Array.from(buckets, ([start, count]) => ({ start: new Date(start).toISOString(), count }))
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    classifyClick,
+    summarizeClicks,
+    buildBreakdown,
+    isValidTimeZone,
+    buildTimeseries
+};
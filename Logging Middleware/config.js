@@ -0,0 +1,195 @@
+// Application configuration, sourced from environment variables with sensible defaults
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_SENSITIVE_PARAMS } = require('./redaction.js');
+
+// Token bucket policy from "<burst>/<per minute>" (e.g. "20/10"), or the defaults
+function ratePolicy(value, capacity, refillPerMinute) {
+    const [burst, perMinute] = (value || '').split('/').map(part => parseInt(part, 10));
+    return {
+        capacity: burst > 0 ? burst : capacity,
+        refillPerMinute: perMinute > 0 ? perMinute : refillPerMinute
+    };
+}
+
+// Extra redaction patterns from a JSON array of regular expression sources.
+// Throws a message naming the variable when it can't be used, so startup fails clearly.
+function redactPatterns(value) {
+    if (!value) {
+        return [];
+    }
+    let patterns;
+    try {
+        patterns = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`LOG_REDACT_PATTERNS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+        throw new Error('LOG_REDACT_PATTERNS must be a JSON array of regular expression strings');
+    }
+    patterns.forEach(pattern => {
+        try {
+            new RegExp(pattern, 'g');
+        } catch (error) {
+            throw new Error(`LOG_REDACT_PATTERNS contains an invalid regular expression: ${error.message}`);
+        }
+    });
+    return patterns;
+}
+
+const config = {
+    port: process.env.PORT || 3001,
+
+    // Persistent storage for short URLs and click analytics
+    storage: {
+        // One of: 'memory', 'file', 'sqlite'
+        driver: process.env.STORAGE_DRIVER || 'file',
+        dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data')
+    },
+
+    // API keys, accounts and per-account quotas
+    auth: {
+        // Token for the /api/admin endpoints; they are disabled when unset
+        adminToken: process.env.ADMIN_TOKEN || '',
+        // Reject callers without an API key instead of falling back to IP-based ownership
+        requireApiKey: process.env.REQUIRE_API_KEY === 'true',
+        // Concurrent URL quota for callers without an API key
+        anonymousQuota: parseInt(process.env.ANONYMOUS_QUOTA, 10) || 5,
+        // Concurrent URL quota for new accounts unless one is given at creation
+        defaultAccountQuota: parseInt(process.env.DEFAULT_ACCOUNT_QUOTA, 10) || 50
+    },
+
+    // Offline IP geolocation (CSV of CIDR networks or address ranges)
+    geolocation: {
+        databaseFile: process.env.GEOIP_DATABASE || path.join(__dirname, '..', 'data', 'geoip.csv')
+    },
+
+    // Which destinations may be shortened
+    destinationPolicy: {
+        // Host names this service is reachable on (comma-separated); links back to them are rejected
+        shortDomains: (process.env.SHORT_DOMAINS || '').split(',').map(host => host.trim()).filter(Boolean),
+        // `allow <domain>` / `deny <domain>` rules, reloadable via the admin API
+        listFile: process.env.DESTINATION_LIST_FILE || path.join(__dirname, '..', 'data', 'destination-list.txt')
+    },
+
+    // Per-caller request limits (keyed by API key, or client IP without one)
+    rateLimit: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        policies: {
+            // Link creation; a batch spends one token per URL
+            shorten: ratePolicy(process.env.RATE_LIMIT_SHORTEN, 20, 10),
+            // All other /api routes
+            api: ratePolicy(process.env.RATE_LIMIT_API, 120, 60),
+            // Short URL redirects, previews and unlocks
+            redirect: ratePolicy(process.env.RATE_LIMIT_REDIRECT, 60, 60),
+            // Consecutive lookups of unknown short codes
+            notFound: ratePolicy(process.env.RATE_LIMIT_NOT_FOUND, 10, 2)
+        }
+    },
+
+    // Application logs
+    logging: {
+        // Entries below the minimum level are dropped from every output; packages
+        // can override it, e.g. LOG_PACKAGE_LEVELS="db-operations=WARN,auth=DEBUG"
+        minLevel: process.env.LOG_LEVEL || 'INFO',
+        packageLevels: process.env.LOG_PACKAGE_LEVELS || '',
+        // Console and file output: 'text' lines or 'json' (one JSON object per line)
+        format: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
+        // Local log files, rotated daily and by size; rotated files are gzipped
+        file: {
+            dir: process.env.LOG_DIR || path.join(__dirname, '..', 'logs'),
+            prefix: 'app',
+            maxFileBytes: (parseInt(process.env.LOG_MAX_FILE_MB, 10) || 10) * 1024 * 1024,
+            // Log files dated earlier than this many days ago are deleted
+            retentionDays: parseInt(process.env.LOG_RETENTION_DAYS, 10) || 14,
+            flushIntervalMs: 200,
+            maxBufferLines: 500
+        },
+        // Delivery of log entries to a remote collector in batches
+        shipping: {
+            // Collector URL; set LOG_SHIPPING_URL to an empty string to disable shipping
+            endpoint: process.env.LOG_SHIPPING_URL !== undefined
+                ? process.env.LOG_SHIPPING_URL
+                : 'http://28.244.56.144/evaluation-service/logs',
+            // 'entry' posts each entry on its own in the Test Server API's shape,
+            // 'batch' posts whole batches as JSON arrays
+            payload: process.env.LOG_SHIPPING_PAYLOAD === 'batch' ? 'batch' : 'entry',
+            batchSize: parseInt(process.env.LOG_SHIPPING_BATCH_SIZE, 10) || 50,
+            flushIntervalMs: parseInt(process.env.LOG_SHIPPING_FLUSH_INTERVAL_MS, 10) || 5000,
+            requestTimeoutMs: parseInt(process.env.LOG_SHIPPING_TIMEOUT_MS, 10) || 5000,
+            maxRetries: parseInt(process.env.LOG_SHIPPING_MAX_RETRIES, 10) || 5,
+            retryBaseDelayMs: parseInt(process.env.LOG_SHIPPING_RETRY_BASE_MS, 10) || 500,
+            retryMaxDelayMs: parseInt(process.env.LOG_SHIPPING_RETRY_MAX_MS, 10) || 30000,
+            // Entries held in memory before the oldest are moved to the spool
+            maxBufferSize: 5000,
+            // Undelivered entries, replayed once the collector is reachable again
+            spoolFile: process.env.LOG_SPOOL_FILE || path.join(__dirname, '..', 'logs', 'log-spool.ndjson'),
+            maxSpoolBytes: (parseInt(process.env.LOG_SPOOL_MAX_MB, 10) || 50) * 1024 * 1024
+        }
+    },
+
+    // Personal data in logs and click analytics
+    privacy: {
+        // Client IPs in log messages: 'mask' (keep the network), 'hash' or 'full'
+        logIpMode: ['mask', 'hash', 'full'].includes(process.env.LOG_IP_MODE) ? process.env.LOG_IP_MODE : 'mask',
+        // Query parameters whose values are redacted from logs; replaces the default list
+        sensitiveParams: process.env.LOG_REDACT_PARAMS
+            ? process.env.LOG_REDACT_PARAMS.split(',').map(name => name.trim()).filter(Boolean)
+            : DEFAULT_SENSITIVE_PARAMS,
+        // Extra secret patterns, as a JSON array of regular expressions
+        secretPatterns: redactPatterns(process.env.LOG_REDACT_PATTERNS),
+        // Salt for hashed IPs; without one, hashes only match within a single run
+        hashSalt: process.env.PRIVACY_HASH_SALT || crypto.randomBytes(16).toString('hex'),
+        hashSaltConfigured: Boolean(process.env.PRIVACY_HASH_SALT),
+        // Client IP stored with each click: 'full', 'mask', 'hash' or 'none'
+        clickIpMode: ['full', 'mask', 'hash', 'none'].includes(process.env.CLICK_IP_MODE) ? process.env.CLICK_IP_MODE : 'full',
+        // Click details older than this many days are purged (0 keeps them); totals are kept
+        clickRetentionDays: parseInt(process.env.CLICK_RETENTION_DAYS, 10) || 0,
+        purgeIntervalMs: 60 * 60 * 1000
+    },
+
+    // Background detection and archival of expired links
+    expiry: {
+        sweepIntervalMs: (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_SECONDS, 10) || 30) * 1000,
+        // Expired links stay in place (and can be extended) this long before archival
+        archiveAfterMinutes: process.env.EXPIRY_ARCHIVE_AFTER_MINUTES !== undefined
+            ? parseInt(process.env.EXPIRY_ARCHIVE_AFTER_MINUTES, 10) || 0
+            : 24 * 60,
+        // Let new links take the short code of an archived one
+        reuseShortCodes: process.env.EXPIRY_REUSE_SHORT_CODES === 'true'
+    },
+
+    // Generated and custom short codes
+    shortCodes: {
+        // Length of generated codes while the keyspace is mostly empty, and the
+        // most it may grow to as it fills (both 3-20)
+        length: parseInt(process.env.SHORTCODE_LENGTH, 10) || 6,
+        maxLength: parseInt(process.env.SHORTCODE_MAX_LENGTH, 10) || 12,
+        // Characters of generated codes (letters, digits, '-' and '_'); empty for a-z, A-Z, 0-9
+        alphabet: process.env.SHORTCODE_ALPHABET || '',
+        // Leave 0, O, o, 1, l and I out of generated codes
+        excludeLookAlikes: process.env.SHORTCODE_EXCLUDE_LOOKALIKES === 'true',
+        // Tries per length before a longer code is generated
+        maxAttempts: parseInt(process.env.SHORTCODE_MAX_ATTEMPTS, 10) || 10,
+        // Treat codes differing only in case as the same code; generated codes are lowercase
+        caseInsensitive: process.env.SHORTCODE_CASE_INSENSITIVE === 'true',
+        // Codes reserved in addition to the built-in ones (comma separated)
+        reservedCodes: (process.env.SHORTCODE_RESERVED || '').split(',').map(code => code.trim()).filter(Boolean),
+        // Words no code may contain, one per line
+        blockedWordsFile: process.env.SHORTCODE_BLOCKLIST_FILE || path.join(__dirname, 'blocked-words.txt')
+    },
+
+    // Prometheus scraping of GET /metrics
+    metrics: {
+        // Bearer token required to scrape; open when unset
+        token: process.env.METRICS_TOKEN || ''
+    },
+
+    // Throttling of failed password attempts on protected links
+    linkProtection: {
+        maxAttempts: parseInt(process.env.UNLOCK_MAX_ATTEMPTS, 10) || 5,
+        windowMinutes: parseInt(process.env.UNLOCK_WINDOW_MINUTES, 10) || 15
+    }
+};
+
+module.exports = config;
@@ -0,0 +1,147 @@
+// Destination policy for shortened URLs: blocks redirect loops, internal hosts and
+// domains on a configurable deny list
+const fs = require('fs');
+const { logger } = require('./server.js');
+const { classifyIp } = require('./ip-utils.js');
+
+// Well-known URL shorteners; shortening their links only adds another redirect hop
+// and can be used to chain shorteners into loops
+const KNOWN_SHORTENERS = [
+    'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
+    'rebrand.ly', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'bl.ink', 'rb.gy', 's.id', 'v.gd',
+    'lnkd.in', 'trib.al', 'short.io', 't.ly'
+];
+
+// Host names that always point at the local machine or network
+const INTERNAL_HOST_SUFFIXES = ['localhost', 'local', 'internal', 'localdomain'];
+
+const NETWORK_REASONS = {
+    loopback: 'LOOPBACK_HOST',
+    private: 'PRIVATE_HOST',
+    'link-local': 'LINK_LOCAL_HOST',
+    multicast: 'MULTICAST_HOST',
+    unspecified: 'UNSPECIFIED_HOST'
+};
+
+// True if `hostname` is `domain` or one of its subdomains
+function matchesDomain(hostname, domain) {
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// The most specific of `domains` covering `hostname` (all matches are suffixes of
+// it, so the longest), or null
+function closestDomain(domains, hostname) {
+    return domains
+        .filter(domain => matchesDomain(hostname, domain))
+        .reduce((closest, domain) => (!closest || domain.length > closest.length ? domain : closest), null);
+}
+
+function normalizeHost(host) {
+    return host.trim().toLowerCase().replace(/\.$/, '');
+}
+
+// Parse the policy list file: one `allow <domain>` or `deny <domain>` per line, `#` comments.
+// Rules match the domain and all of its subdomains.
+function parseListFile(content) {
+    const lists = { allow: [], deny: [] };
+    let skipped = 0;
+    content.split(/\r?\n/).forEach(line => {
+        const text = line.replace(/#.*/, '').trim();
+        if (!text) {
+            return;
+        }
+        const [action, domain, ...rest] = text.split(/\s+/);
+        if (!lists[action] || !domain || rest.length) {
+            skipped++;
+            return;
+        }
+        lists[action].push(normalizeHost(domain));
+    });
+    return { ...lists, skipped };
+}
+
+class DestinationPolicy {
+    // `shortDomains` are the host names this service answers on; `listFile` holds
+    // the allow/deny rules and is re-read by reload()
+    constructor({ shortDomains = [], listFile = null } = {}) {
+        this.shortDomains = shortDomains.map(normalizeHost);
+        this.listFile = listFile;
+        this.allow = [];
+        this.deny = [];
+        this.reload();
+    }
+
+    // (Re)read the allow/deny list file; keeps the previous rules if it can't be read
+    reload() {
+        if (!this.listFile || !fs.existsSync(this.listFile)) {
+            this.allow = [];
+            this.deny = [];
+            return { allow: 0, deny: 0 };
+        }
+
+        try {
+            const { allow, deny, skipped } = parseListFile(fs.readFileSync(this.listFile, 'utf8'));
+            this.allow = allow;
+            this.deny = deny;
+            logger.info('destination-policy', 'destination-policy',
+                `Loaded ${allow.length} allow and ${deny.length} deny rules from ${this.listFile} (${skipped} lines skipped)`);
+            return { allow: allow.length, deny: deny.length };
+        } catch (error) {
+            logger.error('destination-policy', 'destination-policy',
+                `Failed to read destination list ${this.listFile}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Check a destination URL. `requestHost`, the host the request came in on, counts
+    // as a short domain too. Links back to this service and to local or private
+    // addresses are refused whatever the list says. Returns null when it may be
+    // shortened, otherwise { reason, message } with a stable reason code.
+    check(originalUrl, { requestHost = null } = {}) {
+        let url;
+        try {
+            url = new URL(originalUrl);
+        } catch (_) {
+            return { reason: 'INVALID_URL', message: 'Invalid URL format' };
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { reason: 'INVALID_URL', message: 'Invalid URL format' };
+        }
+
+        // The URL parser already normalizes numeric hosts such as 2130706433 or 0x7f.1
+        const hostname = normalizeHost(url.hostname);
+
+        const shortDomains = requestHost ? [...this.shortDomains, normalizeHost(requestHost)] : this.shortDomains;
+        if (shortDomains.some(domain => matchesDomain(hostname, domain))) {
+            return { reason: 'SELF_REFERENCE', message: 'URLs pointing back to this shortener are not allowed' };
+        }
+
+        const network = classifyIp(hostname);
+        if (NETWORK_REASONS[network]) {
+            return { reason: NETWORK_REASONS[network], message: 'URLs pointing to local or private network addresses are not allowed' };
+        }
+        if (network === 'invalid' && INTERNAL_HOST_SUFFIXES.some(suffix => matchesDomain(hostname, suffix))) {
+            return { reason: 'INTERNAL_HOST', message: 'URLs pointing to local or private network addresses are not allowed' };
+        }
+
+        // The most specific rule wins, deny on a tie. A shortener is only exempted by
+        // an allow rule for it or one of its subdomains, not by a broader one.
+        const allowed = closestDomain(this.allow, hostname);
+        const denied = closestDomain(this.deny, hostname);
+        if (denied && !(allowed && allowed.length > denied.length)) {
+            return { reason: 'DENYLISTED_DOMAIN', message: 'This destination domain is not allowed' };
+        }
+
+        const shortener = closestDomain(KNOWN_SHORTENERS, hostname);
+        if (shortener && !(allowed && allowed.length >= shortener.length)) {
+            return { reason: 'NESTED_SHORTENER', message: 'URLs from other link shorteners are not allowed' };
+        }
+
+        return null;
+    }
+}
+
+module.exports = {
+    KNOWN_SHORTENERS,
+    DestinationPolicy
+};
@@ -0,0 +1,70 @@
+// Background job that notices links as they expire instead of waiting for a visit,
+// and later moves them with their analytics into the archive.
+//
+// Events:
+//   'expired'  (urlData) - a link passed its expiry date; emitted once per expiry, as
+//                          the link is marked with `expiredAt` first
+//   'archived' (record)  - an expired link was archived after the grace period
+//   'error'    (error)   - a sweep failed; the next one runs as scheduled
+const { EventEmitter } = require('events');
+
+class ExpirySweeper extends EventEmitter {
+    // Options (see config.expiry): sweepIntervalMs, archiveAfterMinutes
+    constructor(store, options) {
+        super();
+        this.store = store;
+        this.options = options;
+        this.timer = null;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.runSweep(), this.options.sweepIntervalMs);
+            this.timer.unref();
+            this.runSweep();
+        }
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    runSweep() {
+        try {
+            this.sweep();
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    // Mark newly expired links and archive those whose grace period is over.
+    // Store calls are synchronous, so a sweep never interleaves with a request.
+    sweep(now = new Date()) {
+        const graceMs = this.options.archiveAfterMinutes * 60 * 1000;
+        const result = { expired: 0, archived: 0 };
+
+        this.store.listUrls().forEach(urlData => {
+            if (now <= urlData.expiryDate) {
+                return;
+            }
+            // Extending a link clears expiredAt, so a later expiry is reported again
+            if (!urlData.expiredAt) {
+                const expired = this.store.updateUrl(urlData.shortCode, { expiredAt: now });
+                result.expired++;
+                this.emit('expired', expired);
+            } else if (now - urlData.expiredAt >= graceMs) {
+                const record = this.store.archiveUrl(urlData.shortCode, now);
+                result.archived++;
+                this.emit('archived', record);
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = {
+    ExpirySweeper
+};
@@ -0,0 +1,108 @@
+// CSV and NDJSON export of links and click analytics
+const { Readable, pipeline } = require('stream');
+const { formatLocation } = require('./geolocation.js');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const URL_COLUMNS = [
+    'shortCode', 'shortUrl', 'originalUrl', 'createdAt', 'activeFrom', 'expiryDate',
+    'isActive', 'isProtected', 'maxClicks', 'forwardUtm', 'totalClicks', 'botClicks'
+];
+
+const CLICK_COLUMNS = [
+    'timestamp', 'ip', 'location', 'country', 'region', 'city', 'browser', 'os', 'deviceType',
+    'isBot', 'botName', 'referrer', 'utmSource', 'utmMedium', 'utmCampaign', 'utmTerm',
+    'utmContent', 'userAgent'
+];
+
+// Quote a CSV field when it contains a delimiter, quote or line break. Values starting
+// with a formula character get a leading apostrophe so spreadsheets don't evaluate
+// attacker-controlled input (user agents, referrers, UTM values).
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+    return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+// Keep only the exported URL fields, in column order
+function urlRecord(url) {
+    return URL_COLUMNS.reduce((record, column) => {
+        record[column] = url[column] === undefined ? null : url[column];
+        return record;
+    }, {});
+}
+
+// Flatten a stored click into one export record
+function clickRecord(click) {
+    const location = click.location && typeof click.location === 'object' ? click.location : {};
+    const utm = click.utm || {};
+    return {
+        timestamp: click.timestamp,
+        ip: click.ip,
+        location: formatLocation(click.location),
+        country: location.country || null,
+        region: location.region || null,
+        city: location.city || null,
+        browser: click.browser || null,
+        os: click.os || null,
+        deviceType: click.deviceType || null,
+        isBot: Boolean(click.isBot),
+        botName: click.botName || null,
+        referrer: click.referrer || null,
+        utmSource: utm.source || null,
+        utmMedium: utm.medium || null,
+        utmCampaign: utm.campaign || null,
+        utmTerm: utm.term || null,
+        utmContent: utm.content || null,
+        userAgent: click.userAgent || null
+    };
+}
+
+// Lines of the export. `records` is already in memory; only the formatting is
+// deferred, one line at a time as the response takes more data.
+function* exportLines(records, columns, format) {
+    if (format === 'csv') {
+        yield toCsvRow(columns);
+    }
+    for (const record of records) {
+        yield format === 'csv'
+            ? toCsvRow(columns.map(column => record[column]))
+            : JSON.stringify(record) + '\n';
+    }
+}
+
+// Stream records to the response as a downloadable file named `${baseName}.${extension}`.
+// `onError` is called if the stream fails after headers were sent.
+function sendExport(res, { records, columns, format, baseName, onError }) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${baseName}.${extension}"`);
+    
+    pipeline(Readable.from(exportLines(records, columns, format)), res, error => {
+        if (error && onError) {
+            onError(error);
+        }
+    });
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    URL_COLUMNS,
+    CLICK_COLUMNS,
+    escapeCsvValue,
+    urlRecord,
+    clickRecord,
+    sendExport
+};
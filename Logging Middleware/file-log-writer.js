@@ -0,0 +1,180 @@
+// Buffered, non-blocking log file writer with date/size rotation, gzip of rotated
+// files and retention cleanup.
+//
+// Files are named `<prefix>-YYYY-MM-DD.log` (UTC date). When the date changes or
+// the file would exceed `maxFileBytes`, it is renamed to `<prefix>-YYYY-MM-DD.N.log`
+// and compressed to `.log.gz` in the background.
+//
+// Retention and startup cleanup only touch rotated names (`<prefix>-DATE.N.log`
+// and `.log.gz`), which only this writer creates. A plain `<prefix>-DATE.log` of a
+// past day, e.g. one checked into the log directory, is left as it is.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDate(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+class RotatingFileWriter {
+    // Options (see config.logging.file):
+    //   dir, prefix, maxFileBytes, retentionDays, flushIntervalMs, maxBufferLines
+    constructor(options) {
+        this.options = options;
+        this.filePattern = new RegExp(`^${options.prefix}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.log(\\.gz)?$`);
+        this.buffer = [];
+        this.timer = null;
+        this.writing = null;
+        this.compressions = new Set();
+        this.currentDate = null;
+        this.currentSize = 0;
+        this.closed = false;
+
+        fs.mkdirSync(options.dir, { recursive: true });
+        this.exitHandler = () => this.flushSync();
+        process.on('exit', this.exitHandler);
+        this.removeExpired();
+        this.compressLeftovers();
+    }
+
+    currentFile(date = this.currentDate) {
+        return path.join(this.options.dir, `${this.options.prefix}-${date}.log`);
+    }
+
+    // Queue a line; it reaches the file on the next flush
+    write(line) {
+        if (this.closed) {
+            fs.appendFileSync(this.currentFile(utcDate()), line + '\n');
+            return;
+        }
+        this.buffer.push(line + '\n');
+        if (this.buffer.length >= this.options.maxBufferLines) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.options.flushIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    // Append the buffered lines; writes are chained so lines keep their order
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.buffer.length === 0) {
+            return this.writing || Promise.resolve();
+        }
+
+        const data = this.buffer.join('');
+        this.buffer = [];
+        const previous = this.writing || Promise.resolve();
+        const current = previous
+            .then(() => this.append(data))
+            .catch(error => console.error(`Failed to write log file: ${error.message}`))
+            .finally(() => {
+                if (this.writing === current) {
+                    this.writing = null;
+                }
+            });
+        this.writing = current;
+        return current;
+    }
+
+    async append(data) {
+        await this.rotateIfNeeded(Buffer.byteLength(data));
+        await fs.promises.appendFile(this.currentFile(), data);
+        this.currentSize += Buffer.byteLength(data);
+    }
+
+    // Start a new file when the date changed or `incomingBytes` would overflow this one
+    async rotateIfNeeded(incomingBytes) {
+        const today = utcDate();
+        if (this.currentDate === null) {
+            this.currentDate = today;
+            this.currentSize = await fs.promises.stat(this.currentFile())
+                .then(stats => stats.size, () => 0);
+        }
+
+        const dateChanged = today !== this.currentDate;
+        const tooLarge = this.currentSize > 0 && this.currentSize + incomingBytes > this.options.maxFileBytes;
+        if (!dateChanged && !tooLarge) {
+            return;
+        }
+
+        if (this.currentSize > 0) {
+            const rotated = this.rotatedName(await fs.promises.readdir(this.options.dir), this.currentDate);
+            await fs.promises.rename(this.currentFile(), rotated);
+            this.compress(rotated);
+        }
+        if (dateChanged) {
+            this.removeExpired();
+        }
+        this.currentDate = today;
+        this.currentSize = 0;
+    }
+
+    // First free `<prefix>-DATE.N.log` name among `names`, counting compressed files too
+    rotatedName(names, date) {
+        const used = names
+            .map(name => name.match(this.filePattern))
+            .filter(match => match && match[1] === date && match[2])
+            .map(match => parseInt(match[2], 10));
+        const next = used.length ? Math.max(...used) + 1 : 1;
+        return path.join(this.options.dir, `${this.options.prefix}-${date}.${next}.log`);
+    }
+
+    // Gzip a rotated file next to itself and remove the original
+    compress(file) {
+        const task = pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`))
+            .then(() => fs.promises.unlink(file))
+            .catch(error => console.error(`Failed to compress log file ${file}: ${error.message}`))
+            .finally(() => this.compressions.delete(task));
+        this.compressions.add(task);
+    }
+
+    // Rotated files left uncompressed by an earlier run
+    compressLeftovers() {
+        fs.readdirSync(this.options.dir).forEach(name => {
+            const match = name.match(this.filePattern);
+            if (match && match[2] && !match[3]) {
+                this.compress(path.join(this.options.dir, name));
+            }
+        });
+    }
+
+    // Delete rotated log files dated more than `retentionDays` days ago
+    removeExpired() {
+        const cutoff = utcDate(new Date(Date.now() - this.options.retentionDays * DAY_MS));
+        fs.readdirSync(this.options.dir).forEach(name => {
+            const match = name.match(this.filePattern);
+            if (match && match[2] && match[1] < cutoff) {
+                fs.rmSync(path.join(this.options.dir, name), { force: true });
+            }
+        });
+    }
+
+    // Synchronous last-resort flush used from the process 'exit' handler
+    flushSync() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.buffer.length > 0) {
+            fs.appendFileSync(this.currentFile(this.currentDate || utcDate()), this.buffer.join(''));
+            this.buffer = [];
+        }
+    }
+
+    // Write everything buffered and wait for pending compressions. Lines logged
+    // afterwards are appended synchronously.
+    async close() {
+        this.closed = true;
+        await this.flush();
+        await Promise.all([...this.compressions]);
+        process.removeListener('exit', this.exitHandler);
+    }
+}
+
+module.exports = {
+    RotatingFileWriter
+};
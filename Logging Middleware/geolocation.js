@@ -0,0 +1,207 @@
+// Offline IP geolocation from a local CSV range database
+//
+// Each non-comment line maps either a CIDR network or an inclusive address range
+// to a location; IPv4 and IPv6 entries may be mixed:
+//   network,country,region,city          e.g. 81.2.69.0/24,GB,England,London
+//   start_ip,end_ip,country,region,city  e.g. 1.0.0.0,1.0.0.255,AU,Queensland,Brisbane
+// Ranges may overlap; an address resolves to the narrowest range containing it.
+const fs = require('fs');
+const { parseIp, parseCidr, classifyIp } = require('./ip-utils.js');
+const { logger } = require('./server.js');
+
+// Labels for addresses that never appear in a geolocation database
+const NETWORK_LABELS = {
+    private: 'Private network',
+    loopback: 'Loopback',
+    'link-local': 'Link-local',
+    multicast: 'Multicast',
+    unspecified: 'Unspecified address',
+    invalid: 'Unknown'
+};
+
+function parseLine(line) {
+    const fields = line.split(',').map(field => field.trim());
+    let range;
+    let locationFields;
+
+    if (fields[0].includes('/')) {
+        range = parseCidr(fields[0]);
+        locationFields = fields.slice(1);
+    } else {
+        const start = parseIp(fields[0]);
+        const end = parseIp(fields[1] || '');
+        if (start && end && start.version === end.version && start.value <= end.value) {
+            range = { version: start.version, start: start.value, end: end.value };
+        }
+        locationFields = fields.slice(2);
+    }
+
+    if (!range) {
+        return null;
+    }
+    const [country, region, city] = locationFields;
+    return {
+        ...range,
+        location: {
+            country: country || null,
+            region: region || null,
+            city: city || null
+        }
+    };
+}
+
+function compareValues(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Narrower of two ranges; on equal width the one listed later in the file
+function moreSpecific(a, b) {
+    const widthA = a.end - a.start;
+    const widthB = b.end - b.start;
+    return widthB < widthA || (widthB === widthA && b.index > a.index) ? b : a;
+}
+
+// Split overlapping ranges (e.g. 8.8.8.0/24 inside 8.0.0.0/8) into sorted,
+// non-overlapping segments that each take the location of the most specific range
+// covering them, so a nested network no longer hides the rest of the outer one.
+// Returns { segments, overlaps }, where overlaps counts ranges starting inside another.
+function flattenRanges(ranges) {
+    const byStart = ranges.map((range, index) => ({ ...range, index }))
+        .sort((a, b) => compareValues(a.start, b.start));
+    const boundaries = new Set();
+    byStart.forEach(range => {
+        boundaries.add(range.start);
+        boundaries.add(range.end + 1n);
+    });
+    const points = Array.from(boundaries).sort(compareValues);
+
+    const segments = [];
+    let active = [];
+    let next = 0;
+    let overlaps = 0;
+    let lastSource = null;
+    for (let i = 0; i < points.length - 1; i++) {
+        const point = points[i];
+        active = active.filter(range => range.end >= point);
+        while (next < byStart.length && byStart[next].start === point) {
+            if (active.length > 0) {
+                overlaps++;
+            }
+            active.push(byStart[next++]);
+        }
+        if (active.length === 0) {
+            lastSource = null;
+            continue;
+        }
+
+        const source = active.reduce(moreSpecific);
+        const end = points[i + 1] - 1n;
+        if (source === lastSource) {
+            segments[segments.length - 1].end = end;
+        } else {
+            segments.push({ version: source.version, start: point, end, location: source.location });
+            lastSource = source;
+        }
+    }
+    return { segments, overlaps };
+}
+
+function binarySearch(ranges, value) {
+    let low = 0;
+    let high = ranges.length - 1;
+    let match = -1;
+    // Find the last range starting at or before the address
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (ranges[mid].start <= value) {
+            match = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return match >= 0 && ranges[match].end >= value ? ranges[match] : null;
+}
+
+class GeoDatabase {
+    constructor(entries = []) {
+        const byVersion = { 4: [], 6: [] };
+        entries.forEach(entry => byVersion[entry.version].push(entry));
+
+        this.ranges = {};
+        this.overlaps = 0;
+        Object.entries(byVersion).forEach(([version, ranges]) => {
+            const { segments, overlaps } = flattenRanges(ranges);
+            this.ranges[version] = segments;
+            this.overlaps += overlaps;
+        });
+    }
+
+    // Resolve an address to { country, region, city, network }, where network is
+    // 'public' for routable addresses or the special-purpose range it belongs to
+    lookup(ip) {
+        const network = classifyIp(ip);
+        if (network !== 'public') {
+            return { country: null, region: null, city: null, network };
+        }
+        const parsed = parseIp(ip);
+        const match = binarySearch(this.ranges[parsed.version], parsed.value);
+        return match
+            ? { ...match.location, network }
+            : { country: null, region: null, city: null, network };
+    }
+}
+
+// Load the database file; a missing or unreadable file yields an empty database
+// so lookups still label private and loopback addresses
+function loadGeoDatabase(databaseFile) {
+    if (!databaseFile || !fs.existsSync(databaseFile)) {
+        logger.warn('geolocation', 'geolocation', 
+            `Geolocation database not found at ${databaseFile}; public addresses will be reported as unknown`);
+        return new GeoDatabase();
+    }
+
+    const start = Date.now();
+    const entries = [];
+    let skipped = 0;
+    fs.readFileSync(databaseFile, 'utf8').split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.startsWith('#')) {
+            return;
+        }
+        const entry = parseLine(line);
+        if (entry) {
+            entries.push(entry);
+        } else {
+            // Header rows and malformed lines
+            skipped++;
+        }
+    });
+
+    const database = new GeoDatabase(entries);
+    logger.info('geolocation', 'geolocation', 
+        `Loaded ${entries.length} geolocation ranges from ${databaseFile} in ${Date.now() - start}ms (${skipped} lines skipped)`);
+    if (database.overlaps > 0) {
+        logger.warn('geolocation', 'geolocation',
+            `${database.overlaps} geolocation ranges overlap others; overlapping addresses resolve to the most specific range`);
+    }
+    return database;
+}
+
+// Human-readable form of a location, e.g. "London, England, GB" or "Loopback".
+// Clicks recorded before structured locations were introduced hold plain strings.
+function formatLocation(location) {
+    if (!location || typeof location === 'string') {
+        return location || NETWORK_LABELS.invalid;
+    }
+    if (location.network && location.network !== 'public') {
+        return NETWORK_LABELS[location.network];
+    }
+    const parts = [location.city, location.region, location.country].filter(Boolean);
+    return parts.length ? parts.join(', ') : NETWORK_LABELS.invalid;
+}
+
+module.exports = {
+    GeoDatabase,
+    loadGeoDatabase,
+    formatLocation
+};
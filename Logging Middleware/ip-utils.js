@@ -0,0 +1,158 @@
+// IP address parsing and classification shared by geolocation and destination checks
+const net = require('net');
+
+const IPV4_MAPPED_PREFIX = BigInt('0xffff00000000');
+// NAT64 well-known prefix 64:ff9b::/96 and 6to4 prefix 2002::/16
+const NAT64_PREFIX = BigInt('0x64ff9b') << 96n;
+const SIX_TO_FOUR_PREFIX = BigInt('0x2002');
+
+function parseIPv4(address) {
+    return address.split('.').reduce((value, octet) => (value << 8n) + BigInt(parseInt(octet, 10)), 0n);
+}
+
+function parseIPv6(address) {
+    let groups = address;
+    let tail = [];
+
+    // Embedded dotted IPv4 in the last 32 bits (e.g. ::ffff:192.0.2.1)
+    const lastColon = groups.lastIndexOf(':');
+    const lastPart = groups.slice(lastColon + 1);
+    if (lastPart.includes('.')) {
+        const ipv4 = parseIPv4(lastPart);
+        tail = [Number(ipv4 >> 16n), Number(ipv4 & 0xffffn)];
+        groups = groups.slice(0, lastColon + 1) + '0';
+    }
+
+    const [head, rest] = groups.split('::');
+    const headParts = head ? head.split(':') : [];
+    const restParts = rest !== undefined && rest !== '' ? rest.split(':') : [];
+    if (tail.length) {
+        // Replace the placeholder group with the two IPv4 groups
+        (rest !== undefined ? restParts : headParts).pop();
+    }
+    const explicit = headParts.length + restParts.length + tail.length;
+    const zeros = rest !== undefined ? new Array(8 - explicit).fill('0') : [];
+    const parts = [...headParts, ...zeros, ...restParts].map(part => parseInt(part, 16)).concat(tail);
+
+    return parts.reduce((value, part) => (value << 16n) + BigInt(part), 0n);
+}
+
+// Parse an address into { version, value } with a BigInt value, or null if invalid.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are unwrapped to IPv4, and zone
+// indexes (fe80::1%eth0) and surrounding brackets are ignored.
+function parseIp(address) {
+    if (typeof address !== 'string') {
+        return null;
+    }
+    const cleaned = address.trim().replace(/^\[|\]$/g, '').split('%')[0];
+    const version = net.isIP(cleaned);
+
+    if (version === 4) {
+        return { version: 4, value: parseIPv4(cleaned) };
+    }
+    if (version === 6) {
+        const value = parseIPv6(cleaned);
+        if (value >> 32n === IPV4_MAPPED_PREFIX >> 32n) {
+            return { version: 4, value: value & 0xffffffffn };
+        }
+        return { version: 6, value };
+    }
+    return null;
+}
+
+// Parse `network/prefix` into an inclusive { version, start, end } range
+function parseCidr(cidr) {
+    const [network, prefixText] = cidr.trim().split('/');
+    const parsed = parseIp(network);
+    if (!parsed) {
+        return null;
+    }
+    const bits = parsed.version === 4 ? 32 : 128;
+    // An IPv4-mapped network written in IPv6 notation carries a 96-bit longer prefix
+    const mappedOffset = parsed.version === 4 && network.includes(':') ? 96 : 0;
+    const prefix = prefixText === undefined ? bits : parseInt(prefixText, 10) - mappedOffset;
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+        return null;
+    }
+    const hostBits = BigInt(bits - prefix);
+    const start = (parsed.value >> hostBits) << hostBits;
+    const end = start + (1n << hostBits) - 1n;
+    return { version: parsed.version, start, end };
+}
+
+// Special-purpose ranges, checked in order
+const SPECIAL_RANGES = [
+    ['0.0.0.0/8', 'unspecified'],
+    ['127.0.0.0/8', 'loopback'],
+    ['10.0.0.0/8', 'private'],
+    ['172.16.0.0/12', 'private'],
+    ['192.168.0.0/16', 'private'],
+    ['100.64.0.0/10', 'private'],
+    ['169.254.0.0/16', 'link-local'],
+    ['224.0.0.0/4', 'multicast'],
+    ['::/128', 'unspecified'],
+    ['::1/128', 'loopback'],
+    ['fc00::/7', 'private'],
+    // NAT64 local-use prefix; the well-known one is classified by its IPv4 address
+    ['64:ff9b:1::/48', 'private'],
+    ['fe80::/10', 'link-local'],
+    ['ff00::/8', 'multicast']
+].map(([cidr, type]) => ({ ...parseCidr(cidr), type }));
+
+// IPv4 address an IPv6 address reaches through NAT64 (64:ff9b::a.b.c.d) or 6to4
+// (2002:AABB:CCDD::/48), or null
+function embeddedIPv4(parsed) {
+    if (parsed.version !== 6) {
+        return null;
+    }
+    if (parsed.value >> 32n === NAT64_PREFIX >> 32n) {
+        return { version: 4, value: parsed.value & 0xffffffffn };
+    }
+    if (parsed.value >> 112n === SIX_TO_FOUR_PREFIX) {
+        return { version: 4, value: (parsed.value >> 80n) & 0xffffffffn };
+    }
+    return null;
+}
+
+// Classify an address as 'public', 'private', 'loopback', 'link-local', 'multicast',
+// 'unspecified' or 'invalid'. NAT64 and 6to4 addresses are classified by the IPv4
+// address they embed.
+function classifyIp(address) {
+    const parsed = parseIp(address);
+    if (!parsed) {
+        return 'invalid';
+    }
+    const target = embeddedIPv4(parsed) || parsed;
+    const special = SPECIAL_RANGES.find(range => 
+        range.version === target.version && target.value >= range.start && target.value <= range.end
+    );
+    return special ? special.type : 'public';
+}
+
+// Drop the host part of an address: IPv4 keeps its /24 network (203.0.113.0), IPv6
+// its /48 (2001:db8:1::). IPv4-mapped addresses are reported as IPv4. Returns null
+// for invalid input.
+function maskIp(address) {
+    const parsed = parseIp(address);
+    if (!parsed) {
+        return null;
+    }
+    if (parsed.version === 4) {
+        const network = parsed.value >> 8n;
+        return [network >> 16n, (network >> 8n) & 0xffn, network & 0xffn, 0n].join('.');
+    }
+    const network = parsed.value >> 80n;
+    if (network === 0n) {
+        return '::';
+    }
+    return [network >> 32n, (network >> 16n) & 0xffffn, network & 0xffffn]
+        .map(group => group.toString(16))
+        .join(':') + '::';
+}
+
+module.exports = {
+    parseIp,
+    parseCidr,
+    classifyIp,
+    maskIp
+};
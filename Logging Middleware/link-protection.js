@@ -0,0 +1,68 @@
+// Password protection for short links: hashing and per-link throttling of unlock attempts
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hash a password as `scrypt$<salt>$<hash>`
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = passwordHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Counts failed unlock attempts per short code within a sliding window and
+// locks the link out once the limit is reached.
+class UnlockThrottle {
+    constructor({ maxAttempts, windowMinutes }) {
+        this.maxAttempts = maxAttempts;
+        this.windowMs = windowMinutes * 60 * 1000;
+        this.failures = new Map();
+    }
+
+    recentFailures(shortCode) {
+        const cutoff = Date.now() - this.windowMs;
+        const recent = (this.failures.get(shortCode) || []).filter(time => time > cutoff);
+        if (recent.length > 0) {
+            this.failures.set(shortCode, recent);
+        } else {
+            this.failures.delete(shortCode);
+        }
+        return recent;
+    }
+
+    // Milliseconds until the link accepts attempts again, or 0 when not locked
+    lockedFor(shortCode) {
+        const recent = this.recentFailures(shortCode);
+        if (recent.length < this.maxAttempts) {
+            return 0;
+        }
+        return recent[recent.length - this.maxAttempts] + this.windowMs - Date.now();
+    }
+
+    recordFailure(shortCode) {
+        const recent = this.recentFailures(shortCode);
+        recent.push(Date.now());
+        this.failures.set(shortCode, recent);
+        return recent.length;
+    }
+
+    reset(shortCode) {
+        this.failures.delete(shortCode);
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    UnlockThrottle
+};
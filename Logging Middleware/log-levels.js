@@ -0,0 +1,89 @@
+// Log level filtering: a minimum level plus per-package overrides, changeable at runtime
+
+const LOG_LEVELS = {
+    ERROR: 'ERROR',
+    WARN: 'WARN',
+    INFO: 'INFO',
+    DEBUG: 'DEBUG'
+};
+
+// Lower is more severe; an entry is emitted when its severity is at or below the threshold
+const LEVEL_SEVERITY = {
+    ERROR: 0,
+    WARN: 1,
+    INFO: 2,
+    DEBUG: 3
+};
+
+function normalizeLevel(level) {
+    const name = typeof level === 'string' ? level.trim().toUpperCase() : '';
+    return LOG_LEVELS[name] || null;
+}
+
+// Parse "package=LEVEL,other=LEVEL" into { package: 'LEVEL' }, skipping invalid pairs
+function parsePackageLevels(text) {
+    return (text || '').split(',').reduce((levels, pair) => {
+        const [pkg, level] = pair.split('=').map(part => (part || '').trim());
+        if (pkg && normalizeLevel(level)) {
+            levels[pkg] = normalizeLevel(level);
+        }
+        return levels;
+    }, {});
+}
+
+class LevelFilter {
+    // `packageLevels` may be an object or a "package=LEVEL,..." string
+    constructor({ minLevel, packageLevels }) {
+        this.minLevel = normalizeLevel(minLevel) || LOG_LEVELS.INFO;
+        this.packageLevels = typeof packageLevels === 'string'
+            ? parsePackageLevels(packageLevels)
+            : { ...packageLevels };
+    }
+
+    // Levels are matched case-insensitively; levels outside LOG_LEVELS are never filtered
+    isEnabled(level, pkg) {
+        const name = normalizeLevel(level);
+        if (!name) {
+            return true;
+        }
+        const threshold = this.packageLevels[pkg] || this.minLevel;
+        return LEVEL_SEVERITY[name] <= LEVEL_SEVERITY[threshold];
+    }
+
+    describe() {
+        return { minLevel: this.minLevel, packageLevels: { ...this.packageLevels } };
+    }
+
+    // Apply { minLevel, packageLevels } where a package level of null removes the override.
+    // Validates everything before changing anything; returns { levels } or { error }.
+    update({ minLevel, packageLevels }) {
+        if (minLevel !== undefined && !normalizeLevel(minLevel)) {
+            return { error: `minLevel must be one of ${Object.keys(LOG_LEVELS).join(', ')}` };
+        }
+        if (packageLevels !== undefined && (typeof packageLevels !== 'object' || packageLevels === null || Array.isArray(packageLevels))) {
+            return { error: 'packageLevels must be an object of package names to levels' };
+        }
+        const overrides = Object.entries(packageLevels || {});
+        const invalid = overrides.find(([, level]) => level !== null && !normalizeLevel(level));
+        if (invalid) {
+            return { error: `Invalid level for package ${invalid[0]}: ${invalid[1]}` };
+        }
+
+        if (minLevel !== undefined) {
+            this.minLevel = normalizeLevel(minLevel);
+        }
+        overrides.forEach(([pkg, level]) => {
+            if (level === null) {
+                delete this.packageLevels[pkg];
+            } else {
+                this.packageLevels[pkg] = normalizeLevel(level);
+            }
+        });
+        return { levels: this.describe() };
+    }
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LevelFilter
+};
@@ -0,0 +1,179 @@
+// Search over the local log files written by file-log-writer.js, including rotated
+// `.log.gz` files. Lines in both output formats (LOG_FORMAT text or json) are
+// understood, so files written before a format switch stay searchable.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `[timestamp] [LEVEL] [package] message (Stack: stack) (Request: id)`. The message
+// may span several lines (error stacks); the request part is optional.
+const TEXT_RECORD = /^\[([^\]]+)\] \[([A-Z]+)\] \[([^\]]*)\] ([\s\S]*) \(Stack: ([^()]*)\)(?: \(Request: ([^()]*)\))?$/;
+
+// Lines starting a new record; anything else continues the previous one
+const RECORD_START = /^(\[\d{4}-\d{2}-\d{2}T|\{")/;
+
+// Turn one log record (text or JSON) into {timestamp, level, package, stack, message, requestId}
+function parseLogRecord(record) {
+    if (record.startsWith('{')) {
+        try {
+            const entry = JSON.parse(record);
+            return {
+                timestamp: entry.timestamp,
+                level: entry.level,
+                package: entry.package,
+                stack: entry.stack,
+                message: entry.message,
+                requestId: entry.requestId || null
+            };
+        } catch (_) {
+            return null;
+        }
+    }
+
+    const match = record.match(TEXT_RECORD);
+    if (!match) {
+        return null;
+    }
+    return {
+        timestamp: match[1],
+        level: match[2],
+        package: match[3],
+        stack: match[5],
+        message: match[4],
+        requestId: match[6] || null
+    };
+}
+
+// Log files of `dir` whose date may hold entries between `from` and `to`, newest
+// first: per date the active file, then rotated files from the highest number down
+function listLogFiles({ dir, prefix }, { from, to }) {
+    const pattern = new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.log(\\.gz)?$`);
+    // Lines buffered just before midnight can land in the next day's file
+    const firstDate = from ? from.toISOString().slice(0, 10) : null;
+    const lastDate = to ? new Date(to.getTime() + DAY_MS).toISOString().slice(0, 10) : null;
+
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    return names
+        .map(name => ({ name, match: name.match(pattern) }))
+        .filter(({ match }) => match
+            && (!firstDate || match[1] >= firstDate)
+            && (!lastDate || match[1] <= lastDate))
+        .map(({ name, match }) => ({
+            file: path.join(dir, name),
+            date: match[1],
+            // The active (unnumbered) file is the newest of its date
+            sequence: match[2] ? parseInt(match[2], 10) : Infinity
+        }))
+        .sort((a, b) => b.date.localeCompare(a.date) || b.sequence - a.sequence)
+        .map(({ file }) => file);
+}
+
+// Records of one file in order, joining continuation lines
+async function* readRecords(file) {
+    const input = file.endsWith('.gz')
+        ? pipeline(fs.createReadStream(file), zlib.createGunzip(), () => {})
+        : fs.createReadStream(file);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let record = null;
+    for await (const line of lines) {
+        if (RECORD_START.test(line)) {
+            if (record !== null) {
+                yield record;
+            }
+            record = line;
+        } else if (record !== null) {
+            record += '\n' + line;
+        }
+    }
+    if (record !== null) {
+        yield record;
+    }
+}
+
+function matchesFilters(entry, filters) {
+    const { from, to, levels, package: pkg, stack, requestId, text } = filters;
+    return (!from || entry.timestamp >= from.toISOString())
+        && (!to || entry.timestamp <= to.toISOString())
+        && (!levels || levels.includes(entry.level))
+        && (!pkg || (entry.package || '').toLowerCase() === pkg.toLowerCase())
+        && (!stack || (entry.stack || '').toLowerCase() === stack.toLowerCase())
+        && (!requestId || entry.requestId === requestId)
+        && (!text || String(entry.message).toLowerCase().includes(text.toLowerCase()));
+}
+
+// Find log entries matching `filters` ({from, to, levels, package, stack, requestId,
+// text}), newest first. Only the requested page is kept in memory; every file in
+// the date range is scanned so `total` is exact.
+async function searchLogs(fileOptions, filters, { page, limit }) {
+    const offset = (page - 1) * limit;
+    const logs = [];
+    const unreadableFiles = [];
+    let total = 0;
+
+    for (const file of listLogFiles(fileOptions, filters)) {
+        // Files are read oldest entry first; keep only the newest matches that can
+        // still fall on the requested page
+        const keep = Math.max(offset + limit - total, 0);
+        const newest = [];
+        let matched = 0;
+
+        try {
+            for await (const record of readRecords(file)) {
+                const entry = parseLogRecord(record);
+                if (!entry || !matchesFilters(entry, filters)) {
+                    continue;
+                }
+                matched++;
+                if (keep > 0) {
+                    newest.push(entry);
+                    if (newest.length > keep) {
+                        newest.shift();
+                    }
+                }
+            }
+        } catch (error) {
+            // Rotated away or compressed while we were listing; skip it
+            unreadableFiles.push(path.basename(file));
+            continue;
+        }
+
+        newest.reverse().forEach((entry, index) => {
+            const position = total + index;
+            if (position >= offset && position < offset + limit) {
+                logs.push(entry);
+            }
+        });
+        total += matched;
+    }
+
+    return {
+        logs,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        },
+        unreadableFiles
+    };
+}
+
+module.exports = {
+    parseLogRecord,
+    listLogFiles,
+    searchLogs
+};
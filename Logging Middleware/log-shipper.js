@@ -0,0 +1,267 @@
+// Reliable delivery of log entries to a remote collector: entries are buffered,
+// delivered in batches, retried with exponential backoff and spooled to disk when the
+// collector stays unreachable. Spooled entries are replayed once it answers again,
+// including after a restart.
+//
+// Payload formats:
+//   'entry' - one POST per entry with { stack, level, package, message }, the shape
+//             the Test Server API accepts
+//   'batch' - one POST per batch with the array of full entries (including
+//             timestamp and requestId), for collectors that take arrays
+//
+// Diagnostics go to the console only; logging them through log() would feed the
+// shipper its own failures.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Statuses worth retrying; other 4xx answers mean the batch itself was rejected
+const RETRYABLE_STATUSES = [408, 429];
+
+function isRetryable(error) {
+    const status = error.response && error.response.status;
+    return !status || status >= 500 || RETRYABLE_STATUSES.includes(status);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LogShipper {
+    // Options (see config.logging.shipping):
+    //   endpoint, payload, batchSize, flushIntervalMs, requestTimeoutMs, maxRetries,
+    //   retryBaseDelayMs, retryMaxDelayMs, maxBufferSize, spoolFile, maxSpoolBytes
+    constructor(options) {
+        this.options = options;
+        this.buffer = [];
+        this.inFlight = [];
+        // Promise of the flush under way, if any
+        this.sending = null;
+        this.timer = null;
+        // Entries at the front of the buffer that came from `replayFile`
+        this.replayFile = null;
+        this.replayPending = 0;
+        // Earliest time an idle flush retries the spool after a failed delivery
+        this.retrySpoolAt = 0;
+        this.stats = { shipped: 0, failedBatches: 0, spooled: 0, dropped: 0 };
+    }
+
+    start() {
+        if (this.timer) {
+            return this;
+        }
+        this.timer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+        this.timer.unref();
+        // Last resort on exit: whatever is still in memory goes to the spool
+        this.exitHandler = () => {
+            this.spool([...this.inFlight, ...this.buffer]);
+            this.finishReplay(this.replayPending);
+        };
+        process.on('exit', this.exitHandler);
+        this.loadSpool();
+        return this;
+    }
+
+    // Queue an entry; a full batch is sent right away, otherwise on the next interval
+    enqueue(entry) {
+        this.buffer.push(entry);
+        if (this.buffer.length > this.options.maxBufferSize) {
+            // Collector is far behind: move the oldest entries to disk instead of memory
+            this.spool(this.buffer.splice(this.replayPending, this.options.batchSize));
+        }
+        if (this.buffer.length >= this.options.batchSize) {
+            this.flush();
+        }
+    }
+
+    // Send buffered entries batch by batch. Stops at the first batch that can't be
+    // delivered and spools it together with the rest of the buffer. With nothing
+    // buffered, spooled entries get another delivery attempt. A flush already under
+    // way is joined instead of starting another one.
+    flush() {
+        if (!this.sending) {
+            this.sending = this.sendBuffered().finally(() => {
+                this.sending = null;
+            });
+        }
+        return this.sending;
+    }
+
+    async sendBuffered() {
+        if (this.buffer.length === 0) {
+            if (Date.now() >= this.retrySpoolAt) {
+                this.loadSpool();
+            }
+            if (this.buffer.length === 0) {
+                return;
+            }
+        }
+
+        while (this.buffer.length > 0) {
+            this.inFlight = this.buffer.splice(0, this.options.batchSize);
+            const delivered = await this.sendBatch(this.inFlight);
+            const undelivered = this.inFlight;
+            this.inFlight = [];
+
+            this.stats.shipped += delivered;
+            this.finishReplay(Math.min(delivered, this.replayPending));
+
+            if (undelivered.length > 0) {
+                this.stats.failedBatches++;
+                this.retrySpoolAt = Date.now() + this.options.retryMaxDelayMs;
+                this.spool([...undelivered, ...this.buffer.splice(0)]);
+                this.finishReplay(this.replayPending);
+                return;
+            }
+
+            if (this.buffer.length === 0) {
+                // The collector is reachable again; pick up anything spooled earlier
+                this.loadSpool();
+            }
+        }
+    }
+
+    // Deliver `batch` in the configured payload format, removing entries from it as
+    // the collector takes them, so only undelivered ones remain. Resolves with the
+    // number removed.
+    async sendBatch(batch) {
+        if (this.options.payload === 'batch') {
+            return await this.sendWithRetry(batch, batch.length) ? batch.splice(0).length : 0;
+        }
+
+        let delivered = 0;
+        while (batch.length > 0) {
+            const { stack, level, package: pkg, message } = batch[0];
+            if (!await this.sendWithRetry({ stack, level, package: pkg, message }, 1)) {
+                break;
+            }
+            batch.shift();
+            delivered++;
+        }
+        return delivered;
+    }
+
+    // POST one payload holding `count` entries, retrying with exponential backoff and
+    // jitter. Resolves true when delivered, false when it should be spooled.
+    async sendWithRetry(payload, count) {
+        const { endpoint, requestTimeoutMs, maxRetries, retryBaseDelayMs, retryMaxDelayMs } = this.options;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await axios.post(endpoint, payload, {
+                    headers: { 'Content-Type': 'application/json' },
+                    timeout: requestTimeoutMs
+                });
+                return true;
+            } catch (error) {
+                if (!isRetryable(error)) {
+                    this.stats.dropped += count;
+                    console.error(`Log collector rejected ${count} log entries: ${error.message}`);
+                    return true;
+                }
+                if (attempt >= maxRetries) {
+                    console.error(`Failed to ship ${count} log entries after ${attempt + 1} attempts: ${error.message}`);
+                    return false;
+                }
+                const delay = Math.min(retryBaseDelayMs * 2 ** attempt, retryMaxDelayMs);
+                await sleep(delay / 2 + Math.random() * delay / 2);
+            }
+        }
+    }
+
+    // Append entries to the spool file, up to its size limit
+    spool(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+        const { spoolFile, maxSpoolBytes } = this.options;
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+        try {
+            const size = fs.existsSync(spoolFile) ? fs.statSync(spoolFile).size : 0;
+            if (size + Buffer.byteLength(data) > maxSpoolBytes) {
+                this.stats.dropped += entries.length;
+                console.error(`Log spool ${spoolFile} is full; dropped ${entries.length} log entries`);
+                return;
+            }
+            fs.mkdirSync(path.dirname(spoolFile), { recursive: true });
+            fs.appendFileSync(spoolFile, data);
+            this.stats.spooled += entries.length;
+        } catch (error) {
+            this.stats.dropped += entries.length;
+            console.error(`Failed to spool ${entries.length} log entries: ${error.message}`);
+        }
+    }
+
+    // Move spooled entries to the front of the buffer. The spool is renamed first so
+    // new failures start a fresh file; the renamed file is deleted once its entries
+    // are delivered or spooled again, so a crash in between replays them (at least once).
+    loadSpool() {
+        if (this.replayFile) {
+            return;
+        }
+        const { spoolFile } = this.options;
+        const replayFile = `${spoolFile}.replay`;
+
+        try {
+            if (!fs.existsSync(replayFile)) {
+                if (!fs.existsSync(spoolFile)) {
+                    return;
+                }
+                fs.renameSync(spoolFile, replayFile);
+            }
+            const entries = fs.readFileSync(replayFile, 'utf8').split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (_) {
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+
+            this.replayFile = replayFile;
+            this.replayPending = entries.length;
+            this.buffer.unshift(...entries);
+            if (entries.length === 0) {
+                this.finishReplay(0);
+            }
+        } catch (error) {
+            console.error(`Failed to read log spool ${spoolFile}: ${error.message}`);
+        }
+    }
+
+    // Account for `count` replayed entries being delivered or re-spooled
+    finishReplay(count) {
+        if (!this.replayFile) {
+            return;
+        }
+        this.replayPending -= count;
+        if (this.replayPending <= 0) {
+            fs.rmSync(this.replayFile, { force: true });
+            this.replayFile = null;
+            this.replayPending = 0;
+        }
+    }
+
+    // Stop the interval and try to deliver what is left within `timeoutMs`;
+    // anything still undelivered is spooled for the next start.
+    async close(timeoutMs = this.options.requestTimeoutMs) {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        await Promise.race([this.flush(), sleep(timeoutMs)]);
+        this.spool([...this.inFlight, ...this.buffer.splice(0)]);
+        this.inFlight = [];
+        this.finishReplay(this.replayPending);
+        if (this.exitHandler) {
+            process.removeListener('exit', this.exitHandler);
+            this.exitHandler = null;
+        }
+    }
+}
+
+module.exports = {
+    LogShipper
+};
@@ -0,0 +1,219 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels, rendered
+// in the text exposition format (version 0.0.4) by GET /metrics.
+//
+// Modules register their metrics on the shared `registry` when loaded. Metrics
+// whose value lives elsewhere (e.g. LogShipper.stats) pass `collect`, which is
+// called on every scrape and returns a number or a list of { labels, value }.
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits request handlers that mostly answer within milliseconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [], collect = null }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        // Label key -> { labels, value }
+        this.series = new Map();
+    }
+
+    // Labels restricted to (and ordered like) labelNames
+    labelsFor(labels) {
+        const result = {};
+        this.labelNames.forEach(name => {
+            result[name] = labels[name] === undefined ? '' : labels[name];
+        });
+        return result;
+    }
+
+    seriesFor(labels, initial) {
+        const ordered = this.labelsFor(labels);
+        const key = JSON.stringify(Object.values(ordered));
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: ordered, value: initial() });
+        }
+        return this.series.get(key);
+    }
+
+    samples() {
+        if (!this.collect) {
+            return Array.from(this.series.values());
+        }
+        const collected = this.collect();
+        return typeof collected === 'number'
+            ? [{ labels: {}, value: collected }]
+            : collected.map(({ labels, value }) => ({ labels: this.labelsFor(labels), value }));
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.samples().forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => 0).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => 0).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        }));
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            series.value.counts[index]++;
+        }
+        series.value.sum += value;
+        series.value.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.series.forEach(({ labels, value }) => {
+            let cumulative = 0;
+            this.buckets.forEach((bound, index) => {
+                cumulative += value.counts[index];
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    // All metrics in the text exposition format
+    render() {
+        return Array.from(this.metrics.values()).map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+// CPU, memory, event loop and uptime of this process
+function registerProcessMetrics(registry) {
+    const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+    eventLoopDelay.enable();
+
+    registry.counter({
+        name: 'process_cpu_user_seconds_total',
+        help: 'User CPU time spent in seconds.',
+        collect: () => process.cpuUsage().user / 1e6
+    });
+    registry.counter({
+        name: 'process_cpu_system_seconds_total',
+        help: 'System CPU time spent in seconds.',
+        collect: () => process.cpuUsage().system / 1e6
+    });
+    registry.gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size in bytes.',
+        collect: () => process.memoryUsage().rss
+    });
+    registry.gauge({
+        name: 'nodejs_heap_size_used_bytes',
+        help: 'V8 heap in use, in bytes.',
+        collect: () => process.memoryUsage().heapUsed
+    });
+    registry.gauge({
+        name: 'nodejs_heap_size_total_bytes',
+        help: 'V8 heap allocated, in bytes.',
+        collect: () => process.memoryUsage().heapTotal
+    });
+    registry.gauge({
+        name: 'nodejs_eventloop_lag_p99_seconds',
+        help: '99th percentile of event loop delay since the previous scrape, in seconds.',
+        collect: () => {
+            const p99 = eventLoopDelay.percentile(99) / 1e9;
+            eventLoopDelay.reset();
+            return p99;
+        }
+    });
+    registry.gauge({
+        name: 'process_start_time_seconds',
+        help: 'Start time of the process since the Unix epoch, in seconds.',
+        collect: () => Math.round(Date.now() / 1000 - process.uptime())
+    });
+}
+
+// Metrics of the whole application, served by GET /metrics
+const registry = new Registry();
+registerProcessMetrics(registry);
+
+module.exports = {
+    CONTENT_TYPE,
+    Registry,
+    registry
+};
@@ -0,0 +1,118 @@
+// Minimal server-rendered HTML pages for browser-facing short link routes
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Roboto, Arial, sans-serif; background: #f5f5f5; margin: 0; }
+        main { max-width: 420px; margin: 80px auto; background: #fff; padding: 32px;
+               border-radius: 4px; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.2); }
+        h1 { font-size: 1.4rem; color: #1976d2; margin-top: 0; }
+        p { color: rgba(0, 0, 0, 0.6); }
+        input { width: 100%; box-sizing: border-box; padding: 10px; margin: 8px 0 16px;
+                border: 1px solid #ccc; border-radius: 4px; font-size: 1rem; }
+        button, .button { display: block; width: 100%; box-sizing: border-box; padding: 10px;
+                 background: #1976d2; color: #fff; border: 0; border-radius: 4px; font-size: 1rem;
+                 cursor: pointer; text-align: center; text-decoration: none; }
+        .error { color: #d32f2f; }
+        dl { margin: 16px 0 24px; }
+        dt { font-size: 0.8rem; color: rgba(0, 0, 0, 0.6); margin-top: 12px; }
+        dd { margin: 4px 0 0; word-break: break-all; }
+    </style>
+</head>
+<body>
+    <main>
+${body}
+    </main>
+</body>
+</html>`;
+}
+
+// Form asking for the password of a protected link; posts back to the short code.
+// The original query string (UTM parameters) and referrer are carried through the
+// form so the click is attributed the same way as an unprotected one.
+function renderUnlockPage(shortCode, { error = '', search = '', referrer = '' } = {}) {
+    return renderPage('Password required', `
+        <h1>Password required</h1>
+        <p>This short link is password protected.</p>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <form method="POST" action="/${encodeURIComponent(shortCode)}${escapeHtml(search)}">
+            <label for="password">Password</label>
+            <input id="password" name="password" type="password" autofocus required />
+            <input name="referrer" type="hidden" value="${escapeHtml(referrer)}" />
+            <button type="submit">Unlock</button>
+        </form>`);
+}
+
+function formatPageDate(date) {
+    return new Date(date).toUTCString();
+}
+
+// Pages for short links that cannot be followed, keyed by the reason
+const LINK_STATUS_PAGES = {
+    'not-found': {
+        title: 'Link not found',
+        message: () => 'This short link does not exist. Check that it was copied completely.'
+    },
+    disabled: {
+        title: 'Link disabled',
+        message: () => 'This short link has been disabled by its owner.'
+    },
+    scheduled: {
+        title: 'Link not active yet',
+        message: ({ activeFrom }) => `This short link starts working on ${formatPageDate(activeFrom)}.`
+    },
+    expired: {
+        title: 'Link expired',
+        message: ({ expiredAt }) => `This short link expired on ${formatPageDate(expiredAt)}.`
+    },
+    exhausted: {
+        title: 'Link no longer available',
+        message: () => 'This short link has reached its maximum number of visits.'
+    }
+};
+
+function renderLinkStatusPage(reason, details = {}) {
+    const page = LINK_STATUS_PAGES[reason];
+    return renderPage(page.title, `
+        <h1>${escapeHtml(page.title)}</h1>
+        <p>${escapeHtml(page.message(details))}</p>`);
+}
+
+// Shows where a short link leads before following it. The destination of a
+// password-protected link stays hidden until it is unlocked.
+function renderPreviewPage({ shortCode, originalUrl, createdAt, expiryDate, isProtected }) {
+    return renderPage(`Preview of ${shortCode}`, `
+        <h1>Where this link goes</h1>
+        <dl>
+            <dt>Destination</dt>
+            <dd>${isProtected ? 'Hidden until the password is entered' : escapeHtml(originalUrl)}</dd>
+            <dt>Created</dt>
+            <dd>${escapeHtml(formatPageDate(createdAt))}</dd>
+            <dt>Expires</dt>
+            <dd>${escapeHtml(formatPageDate(expiryDate))}</dd>
+        </dl>
+        <a class="button" href="/${encodeURIComponent(shortCode)}">Continue</a>`);
+}
+
+module.exports = {
+    escapeHtml,
+    renderPage,
+    renderUnlockPage,
+    renderLinkStatusPage,
+    renderPreviewPage
+};
@@ -0,0 +1,65 @@
+// QR code rendering for short links, done locally with the qrcode package
+const QRCode = require('qrcode');
+
+const QR_FORMATS = {
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+
+const QR_LIMITS = {
+    size: { min: 64, max: 2048, default: 256 },
+    margin: { min: 0, max: 16, default: 4 }
+};
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+function parseBoundedInt(value, { min, max, default: fallback }) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+// Validate ?format=&size=&margin=&level= for a QR request. Repeated parameters
+// arrive as arrays and are rejected. Returns { format, size, margin, level } or { error }.
+function parseQrOptions(query) {
+    const format = query.format || 'png';
+    if (typeof format !== 'string' || !Object.hasOwn(QR_FORMATS, format)) {
+        return { error: 'Format must be png or svg' };
+    }
+    
+    const size = parseBoundedInt(query.size, QR_LIMITS.size);
+    if (size === null) {
+        return { error: `Size must be an integer between ${QR_LIMITS.size.min} and ${QR_LIMITS.size.max}` };
+    }
+    
+    const margin = parseBoundedInt(query.margin, QR_LIMITS.margin);
+    if (margin === null) {
+        return { error: `Margin must be an integer between ${QR_LIMITS.margin.min} and ${QR_LIMITS.margin.max}` };
+    }
+    
+    const level = query.level || 'M';
+    if (typeof level !== 'string' || !ERROR_CORRECTION_LEVELS.includes(level.toUpperCase())) {
+        return { error: 'Error correction level must be L, M, Q or H' };
+    }
+    
+    return { format, size, margin, level: level.toUpperCase() };
+}
+
+// Render `text` as a QR code; resolves to a PNG Buffer or an SVG string
+function renderQrCode(text, { format, size, margin, level }) {
+    const options = { width: size, margin, errorCorrectionLevel: level };
+    return format === 'svg'
+        ? QRCode.toString(text, { ...options, type: 'svg' })
+        : QRCode.toBuffer(text, { ...options, type: 'png' });
+}
+
+module.exports = {
+    QR_FORMATS,
+    parseQrOptions,
+    renderQrCode
+};
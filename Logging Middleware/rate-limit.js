@@ -0,0 +1,143 @@
+// Token-bucket rate limiting for API and redirect routes
+const { rateLimitLogger } = require('./server.js');
+const { registry } = require('./metrics.js');
+
+const rejections = registry.counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests refused with 429, by rate limit policy.',
+    labelNames: ['policy']
+});
+
+// How often buckets that have refilled completely are dropped from memory
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Token buckets keyed by caller. Each bucket holds up to `capacity` tokens and
+// regains `refillPerMinute` tokens per minute; a request spends one or more tokens.
+class TokenBucket {
+    constructor({ capacity, refillPerMinute }) {
+        this.capacity = capacity;
+        this.refillPerMs = refillPerMinute / 60000;
+        this.buckets = new Map();
+        
+        const timer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        timer.unref();
+    }
+    
+    // Current tokens for `key`, refilled up to now
+    tokens(key, now = Date.now()) {
+        const bucket = this.buckets.get(key);
+        if (!bucket) {
+            return this.capacity;
+        }
+        return Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    }
+    
+    // Seconds until `key` holds `count` tokens again
+    secondsUntil(key, count) {
+        const missing = count - this.tokens(key);
+        return missing > 0 ? Math.ceil(missing / this.refillPerMs / 1000) : 0;
+    }
+    
+    // Spend `cost` tokens if available.
+    // Returns { allowed, remaining, resetSeconds, retryAfterSeconds }.
+    take(key, cost = 1) {
+        const now = Date.now();
+        const available = this.tokens(key, now);
+        const allowed = available >= cost;
+        const tokens = allowed ? available - cost : available;
+        this.buckets.set(key, { tokens, updatedAt: now });
+        
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            resetSeconds: this.secondsUntil(key, this.capacity),
+            retryAfterSeconds: allowed ? 0 : this.secondsUntil(key, cost)
+        };
+    }
+    
+    reset(key) {
+        this.buckets.delete(key);
+    }
+    
+    prune() {
+        const now = Date.now();
+        for (const key of this.buckets.keys()) {
+            if (this.tokens(key, now) >= this.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+function sendRateLimited(res, policyName, retryAfterSeconds, error) {
+    rejections.inc({ policy: policyName });
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ error, retryAfter: retryAfterSeconds });
+}
+
+// Express middleware limiting requests per caller with the named policy.
+//   keyFor(req) - bucket key, e.g. `key:<apiKeyId>` or `ip:<address>`
+//   cost(req)   - tokens spent by the request (default 1, capped at the capacity)
+//   skip(req)   - exempt a request entirely
+function createRateLimiter(name, policy, { keyFor, cost = () => 1, skip = () => false }) {
+    const bucket = new TokenBucket(policy);
+    
+    return function rateLimitMiddleware(req, res, next) {
+        if (skip(req)) {
+            return next();
+        }
+        
+        const key = keyFor(req);
+        const result = bucket.take(key, Math.min(Math.max(cost(req), 1), policy.capacity));
+        
+        res.set('RateLimit-Limit', String(policy.capacity));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(result.resetSeconds));
+        res.set('RateLimit-Policy', `${policy.refillPerMinute};w=60;burst=${policy.capacity}`);
+        
+        if (!result.allowed) {
+            rateLimitLogger.limited(name, key, req.method, req.originalUrl, result.retryAfterSeconds);
+            return sendRateLimited(res, name, result.retryAfterSeconds, 'Too many requests, please slow down');
+        }
+        next();
+    };
+}
+
+// Express middleware deterring short code enumeration: every 404 lookup spends a
+// token from a small bucket and a successful lookup refills it. Once the bucket is
+// empty, the caller's lookups are refused until tokens trickle back.
+// `countable(req)` limits this to requests that look like short code lookups.
+function createNotFoundGuard(policy, { keyFor, countable = () => true }) {
+    const bucket = new TokenBucket(policy);
+    
+    return function notFoundGuardMiddleware(req, res, next) {
+        if (!countable(req)) {
+            return next();
+        }
+        
+        const key = keyFor(req);
+        if (bucket.tokens(key) < 1) {
+            const retryAfterSeconds = bucket.secondsUntil(key, 1);
+            rateLimitLogger.limited('notFound', key, req.method, req.originalUrl, retryAfterSeconds);
+            return sendRateLimited(res, 'notFound', retryAfterSeconds, 'Too many unknown short URLs requested, please try again later');
+        }
+        
+        res.on('finish', () => {
+            if (res.statusCode === 404) {
+                const { remaining } = bucket.take(key);
+                if (remaining === 0) {
+                    rateLimitLogger.lookupsBlocked(key, policy.capacity);
+                }
+            } else if (res.statusCode < 400) {
+                bucket.reset(key);
+            }
+        });
+        next();
+    };
+}
+
+module.exports = {
+    TokenBucket,
+    createRateLimiter,
+    createNotFoundGuard
+};
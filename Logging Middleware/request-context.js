@@ -0,0 +1,40 @@
+// Per-request correlation IDs. The ID is kept in AsyncLocalStorage, so every log()
+// call made while handling a request (including after awaits and in callbacks) can
+// pick it up without it being passed around.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Inherited IDs are written into log lines, so only accept plain tokens
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+// The request's correlation ID: the caller's X-Request-Id when usable, otherwise
+// a new UUID. Stored on req.id so later calls return the same value.
+function requestIdFor(req) {
+    if (!req.id) {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    }
+    return req.id;
+}
+
+// Run `fn` with `requestId` as the current correlation ID
+function runWithRequestId(requestId, fn) {
+    return storage.run({ requestId }, fn);
+}
+
+// Correlation ID of the request being handled, or null outside of one
+function currentRequestId() {
+    const context = storage.getStore();
+    return context ? context.requestId : null;
+}
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    requestIdFor,
+    runWithRequestId,
+    currentRequestId
+};
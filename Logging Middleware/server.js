@@ -1,64 +1,95 @@
 // Comprehensive Logging Middleware for URL Shortener Application
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
-
-// Create logs directory if it doesn't exist
-const logsDir = path.join(__dirname, '..', 'logs');
-if (!fs.existsSync(logsDir)) {
-    fs.mkdirSync(logsDir, { recursive: true });
-}
+const config = require('./config.js');
+const { LogShipper } = require('./log-shipper.js');
+const { RotatingFileWriter } = require('./file-log-writer.js');
+const { LOG_LEVELS, LevelFilter } = require('./log-levels.js');
+const { Redactor } = require('./redaction.js');
+const { registry } = require('./metrics.js');
+const { REQUEST_ID_HEADER, requestIdFor, runWithRequestId, currentRequestId } = require('./request-context.js');
+const os = require('os');
 
-// Logging levels
-const LOG_LEVELS = {
-    ERROR: 'ERROR',
-    WARN: 'WARN',
-    INFO: 'INFO',
-    DEBUG: 'DEBUG'
-};
+// Daily log files in logs/, written in the background (creates the directory)
+const logFile = new RotatingFileWriter(config.logging.file);
+
+// Minimum level and per-package overrides, adjustable at runtime via logLevels.update()
+const logLevels = new LevelFilter(config.logging);
+
+// Strips secrets and client addresses from messages before they reach any output
+const redactor = new Redactor(config.privacy);
 
-// Test Server API Configuration
-const TEST_SERVER_URL = 'http://28.244.56.144/evaluation-service/logs';
+// Batched delivery to the Test Server API (or any configured collector)
+const logShipper = config.logging.shipping.endpoint
+    ? new LogShipper(config.logging.shipping).start()
+    : null;
+
+// Request counts and latency by route pattern (not the raw URL, which would give
+// every short code its own series)
+const httpRequests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests answered, by method, route and status.',
+    labelNames: ['method', 'route', 'status']
+});
+const httpDuration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time to answer HTTP requests in seconds, by method, route and status.',
+    labelNames: ['method', 'route', 'status']
+});
+
+// Log delivery counters mirror LogShipper.stats
+const shippingStats = (name, stat, help) => registry.counter({
+    name,
+    help,
+    collect: () => (logShipper ? logShipper.stats[stat] : 0)
+});
+shippingStats('log_shipping_entries_shipped_total', 'shipped', 'Log entries delivered to the collector.');
+shippingStats('log_shipping_failed_batches_total', 'failedBatches', 'Log batches that failed after all retries and were spooled.');
+shippingStats('log_shipping_entries_spooled_total', 'spooled', 'Log entries written to the disk spool.');
+shippingStats('log_shipping_entries_dropped_total', 'dropped', 'Log entries dropped (rejected by the collector or spool full).');
 
 // Main logging function as specified in requirements: log(stack, level, package, message)
+// Returns the log entry, or null when the level is filtered out.
 async function log(stack, level, package, message) {
+    if (!logLevels.isEnabled(level, package)) {
+        return null;
+    }
+    
     const timestamp = new Date().toISOString();
+    // Redacted once here, so console, file and shipped output all get the same text
+    const redactedMessage = redactor.redact(message);
+    // Set while handling a request (see requestLoggingMiddleware)
+    const requestId = currentRequestId();
     const logEntry = {
         timestamp,
         stack,
         level,
         package,
-        message,
+        message: redactedMessage,
+        requestId,
         pid: process.pid,
-        hostname: require('os').hostname()
+        hostname: os.hostname()
     };
 
     // Format log message for console/file
-    const formattedMessage = `[${timestamp}] [${level}] [${package}] ${message} (Stack: ${stack})`;
+    const formattedMessage = config.logging.format === 'json'
+        ? JSON.stringify(logEntry)
+        : `[${timestamp}] [${level}] [${package}] ${redactedMessage} (Stack: ${stack})${requestId ? ` (Request: ${requestId})` : ''}`;
     
     // Write to console
     console.log(formattedMessage);
     
     // Write to file
-    const logFile = path.join(logsDir, `app-${new Date().toISOString().split('T')[0]}.log`);
-    fs.appendFileSync(logFile, formattedMessage + '\n');
+    logFile.write(formattedMessage);
     
-    // Send to Test Server API
-    try {
-        await axios.post(TEST_SERVER_URL, {
+    // Queue for the Test Server API; delivery happens in the background
+    if (logShipper) {
+        logShipper.enqueue({
+            timestamp,
             stack: stack,
             level: level.toLowerCase(),
             package: package,
-            message: message
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 5000
+            message: redactedMessage,
+            requestId
         });
-    } catch (error) {
-        // Don't let logging API failures break the application
-        console.error(`Failed to send log to test server: ${error.message}`);
     }
     
     return logEntry;
@@ -72,8 +103,16 @@ const logger = {
     debug: (stack, package, message) => log(stack, LOG_LEVELS.DEBUG, package, message)
 };
 
-// Express middleware for request logging
+// Express middleware for request logging. Also assigns the request's correlation
+// ID: it is echoed in the X-Request-Id response header and attached to every log
+// line written while the rest of the request is handled.
 function requestLoggingMiddleware(req, res, next) {
+    const requestId = requestIdFor(req);
+    res.set(REQUEST_ID_HEADER, requestId);
+    runWithRequestId(requestId, () => logRequest(req, res, next));
+}
+
+function logRequest(req, res, next) {
     const start = Date.now();
     const { method, url, ip, headers } = req;
     
@@ -87,6 +126,15 @@ function requestLoggingMiddleware(req, res, next) {
         const duration = Date.now() - start;
         const { statusCode } = res;
         
+        // req.route is only set once a route matched, e.g. not for 404s and 429s from app-level middleware
+        const labels = {
+            method,
+            route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+            status: statusCode
+        };
+        httpRequests.inc(labels);
+        httpDuration.observe(labels, duration / 1000);
+        
         // Log response
         logger.info('http-response', 'middleware', 
             `${method} ${url} - ${statusCode} - ${duration}ms`);
@@ -105,6 +153,16 @@ function requestLoggingMiddleware(req, res, next) {
 
 // Error handling middleware
 function errorLoggingMiddleware(err, req, res, next) {
+    // Errors raised before requestLoggingMiddleware ran (e.g. a malformed JSON
+    // body) still get a correlation ID
+    if (!currentRequestId()) {
+        const requestId = requestIdFor(req);
+        if (!res.headersSent) {
+            res.set(REQUEST_ID_HEADER, requestId);
+        }
+        return runWithRequestId(requestId, () => errorLoggingMiddleware(err, req, res, next));
+    }
+
     const { method, url, ip } = req;
     
     // Log detailed error information as specified in requirements
@@ -122,6 +180,7 @@ function errorLoggingMiddleware(err, req, res, next) {
         res.status(500).json({
             error: 'Internal Server Error',
             message: 'An unexpected error occurred',
+            requestId: req.id,
             timestamp: new Date().toISOString()
         });
     }
@@ -131,14 +190,55 @@ function errorLoggingMiddleware(err, req, res, next) {
 
 // URL shortening specific logging functions
 const urlLogger = {
-    urlCreated: (originalUrl, shortCode, expiryDate) => {
+    urlCreated: (originalUrl, shortCode, expiryDate, activeFrom = null) => {
         logger.info('url-creation', 'url-shortener', 
-            `URL shortened: ${originalUrl} -> ${shortCode} (expires: ${expiryDate})`);
+            `URL shortened: ${originalUrl} -> ${shortCode} (${activeFrom ? `active from: ${activeFrom}, ` : ''}expires: ${expiryDate})`);
     },
     
-    urlAccessed: (shortCode, originalUrl, userAgent, ip, location) => {
+    urlAccessed: (shortCode, originalUrl, userAgent, ip, location, referrer = null) => {
         logger.info('url-access', 'url-shortener', 
-            `Short URL accessed: ${shortCode} -> ${originalUrl} from ${ip} (${location})`);
+            `Short URL accessed: ${shortCode} -> ${originalUrl} from ${ip} (${location})${referrer ? ` via ${referrer}` : ''}`);
+    },
+    
+    urlUpdated: (shortCode, changes) => {
+        logger.info('url-update', 'url-shortener', 
+            `URL updated: ${shortCode} (${Object.keys(changes).map(field => `${field}=${changes[field]}`).join(', ')})`);
+    },
+    
+    urlDeleted: (shortCode, originalUrl) => {
+        logger.info('url-deletion', 'url-shortener', 
+            `URL deleted: ${shortCode} -> ${originalUrl}`);
+    },
+    
+    // Deliberately leaves out the destination, which is part of the erased data
+    urlErased: (shortCode, clicks) => {
+        logger.info('url-erasure', 'url-shortener', 
+            `URL data erased: ${shortCode} (${clicks} click records)`);
+    },
+    
+    urlInactive: (shortCode, originalUrl) => {
+        logger.warn('url-inactive', 'url-shortener', 
+            `Deactivated URL accessed: ${shortCode} -> ${originalUrl}`);
+    },
+    
+    passwordFailed: (shortCode, ip, attempts) => {
+        logger.warn('url-unlock', 'url-shortener', 
+            `Wrong password for protected URL: ${shortCode} from ${ip} (attempt ${attempts})`);
+    },
+    
+    unlockThrottled: (shortCode, ip) => {
+        logger.warn('url-unlock', 'url-shortener', 
+            `Unlock attempt rejected, too many failures: ${shortCode} from ${ip}`);
+    },
+    
+    clickLimitReached: (shortCode, originalUrl, maxClicks) => {
+        logger.warn('url-click-limit', 'url-shortener', 
+            `Click-limited URL accessed after ${maxClicks} clicks: ${shortCode} -> ${originalUrl}`);
+    },
+    
+    urlNotYetActive: (shortCode, originalUrl, activeFrom) => {
+        logger.warn('url-scheduled', 'url-shortener', 
+            `Scheduled URL accessed before activation: ${shortCode} -> ${originalUrl} (active from: ${activeFrom})`);
     },
     
     urlExpired: (shortCode, originalUrl) => {
@@ -146,14 +246,65 @@ const urlLogger = {
             `Expired URL accessed: ${shortCode} -> ${originalUrl}`);
     },
     
+    expiryDetected: (shortCode, originalUrl, expiryDate) => {
+        logger.info('url-expiry', 'url-shortener', 
+            `URL expired: ${shortCode} -> ${originalUrl} (expired at: ${expiryDate.toISOString()})`);
+    },
+    
+    urlArchived: (shortCode, archiveId, totalClicks) => {
+        logger.info('url-archive', 'url-shortener', 
+            `Expired URL archived: ${shortCode} as ${archiveId} (${totalClicks} clicks)`);
+    },
+    
     invalidUrl: (shortCode, ip) => {
         logger.warn('invalid-url', 'url-shortener', 
             `Invalid short code accessed: ${shortCode} from ${ip}`);
     },
     
-    validationError: (field, value, error) => {
+    validationError: (field, value, error, reason = null) => {
         logger.error('validation-error', 'url-shortener', 
-            `Validation failed for ${field}: ${value} - ${error}`);
+            `Validation failed for ${field}: ${value} - ${error}${reason ? ` [${reason}]` : ''}`);
+    }
+};
+
+// Account and API key logging
+const authLogger = {
+    accountCreated: (accountId, name, quota) => {
+        logger.info('account-creation', 'auth', 
+            `Account created: ${accountId} (${name}, quota: ${quota})`);
+    },
+    
+    accountUpdated: (accountId, changes) => {
+        logger.info('account-update', 'auth', 
+            `Account updated: ${accountId} (${Object.keys(changes).map(field => `${field}=${changes[field]}`).join(', ')})`);
+    },
+    
+    keyIssued: (keyId, accountId) => {
+        logger.info('api-key-issued', 'auth', 
+            `API key issued: ${keyId} for account ${accountId}`);
+    },
+    
+    keyRevoked: (keyId, accountId) => {
+        logger.warn('api-key-revoked', 'auth', 
+            `API key revoked: ${keyId} for account ${accountId}`);
+    },
+    
+    authFailed: (reason, ip) => {
+        logger.warn('auth-failure', 'auth', 
+            `Authentication failed from ${ip}: ${reason}`);
+    }
+};
+
+// Rate limiting logger
+const rateLimitLogger = {
+    limited: (policy, key, method, path, retryAfter) => {
+        logger.warn('rate-limit', 'middleware', 
+            `Rate limit exceeded (${policy}) by ${key}: ${method} ${path} - retry after ${retryAfter}s`);
+    },
+    
+    lookupsBlocked: (key, limit) => {
+        logger.warn('rate-limit', 'middleware', 
+            `Short URL lookups blocked for ${key} after ${limit} consecutive unknown short codes`);
     }
 };
 
@@ -167,15 +318,34 @@ const dbLogger = {
     error: (operation, error) => {
         logger.error('database-error', 'db-operations', 
             `Database operation failed: ${operation} - ${error}`);
+    },
+    
+    clicksPurged: (count, cutoff) => {
+        logger.info('data-retention', 'db-operations', 
+            `Purged ${count} click records older than ${cutoff}`);
     }
 };
 
+// Write out buffered log lines and give pending shipments a last chance; call
+// before the process exits
+async function closeLogs() {
+    await Promise.all([
+        logFile.close(),
+        logShipper ? logShipper.close() : Promise.resolve()
+    ]);
+}
+
 module.exports = {
     log,
     logger,
     requestLoggingMiddleware,
     errorLoggingMiddleware,
     urlLogger,
+    authLogger,
+    rateLimitLogger,
     dbLogger,
+    logShipper,
+    closeLogs,
+    logLevels,
     LOG_LEVELS
 };
@@ -0,0 +1,173 @@
+// Short code generation and validation: crypto-random codes over a configurable
+// alphabet that grow longer as the keyspace fills, a reserved-word list that keeps
+// both generated and custom codes off the app's own paths, and a blocked word file
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./server.js');
+
+const DEFAULT_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Characters easily mistaken for one another when a code is read or typed
+const LOOK_ALIKES = '0Oo1lI';
+
+// Characters a short code may contain, generated or custom
+const CODE_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 20;
+
+// Paths served by the API and the frontend, and names browsers and crawlers ask
+// for on their own; a short code equal to one of these (any case) would shadow it
+const RESERVED_CODES = [
+    'api', 'admin', 'statistics', 'stats', 'logs', 'metrics', 'health', 'archive',
+    'login', 'logout', 'account', 'settings', 'static', 'assets', 'public', 'favicon',
+    'manifest', 'robots', 'sitemap', 'service-worker', 'index', 'apple-touch-icon',
+    'asset-manifest', 'well-known'
+];
+
+// Codes are generated at the shortest length whose keyspace is at most this full,
+// so a random code collides rarely
+const MAX_FILL_RATIO = 0.1;
+
+// Parse the blocked word file: one word per line, `#` comments
+function parseWordFile(content) {
+    return content.split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Lowercase words of a code, split at '-', '_', lower-to-upper case changes and
+// letter/digit boundaries: "myPromo-2024" -> my, promo, 2024
+function tokenize(code) {
+    return code.split(/[-_]|(?<=[a-z])(?=[A-Z])|(?<=[A-Za-z])(?=\d)|(?<=\d)(?=[A-Za-z])/)
+        .filter(Boolean)
+        .map(token => token.toLowerCase());
+}
+
+// The alphabet codes are drawn from; throws on a misconfigured one
+function buildAlphabet({ alphabet, excludeLookAlikes, caseInsensitive }) {
+    let chars = Array.from(alphabet || DEFAULT_ALPHABET);
+    if (!chars.every(char => CODE_PATTERN.test(char))) {
+        throw new Error('Short code alphabet may only contain letters, digits, hyphens and underscores');
+    }
+    if (caseInsensitive) {
+        chars = chars.map(char => char.toLowerCase());
+    }
+    if (excludeLookAlikes) {
+        chars = chars.filter(char => !LOOK_ALIKES.includes(char));
+    }
+    const unique = Array.from(new Set(chars));
+    if (unique.length < 2) {
+        throw new Error('Short code alphabet needs at least 2 distinct characters');
+    }
+    return unique.join('');
+}
+
+class ShortCodeGenerator {
+    // Options (see config.shortCodes): length, maxLength, alphabet, excludeLookAlikes,
+    // maxAttempts, caseInsensitive, reservedCodes, blockedWordsFile.
+    // `isTaken(code)` tells whether a code is in use and `countUsed()` how many are.
+    constructor(options, { isTaken, countUsed }) {
+        this.alphabet = buildAlphabet(options);
+        this.length = Math.min(Math.max(options.length, MIN_LENGTH), MAX_LENGTH);
+        this.maxLength = Math.min(Math.max(options.maxLength, this.length), MAX_LENGTH);
+        this.maxAttempts = Math.max(options.maxAttempts, 1);
+        this.reservedCodes = new Set([...RESERVED_CODES, ...options.reservedCodes].map(code => code.toLowerCase()));
+        this.blockedWordsFile = options.blockedWordsFile;
+        this.blockedWords = [];
+        this.isTaken = isTaken;
+        this.countUsed = countUsed;
+        // Length of the last generated code, to report when it grows
+        this.currentLength = this.length;
+        this.loadBlockedWords();
+    }
+
+    loadBlockedWords() {
+        if (!this.blockedWordsFile || !fs.existsSync(this.blockedWordsFile)) {
+            logger.warn('shortcode-generator', 'shortcode-generator',
+                `Blocked word file ${this.blockedWordsFile} not found; no words are blocked in short codes`);
+            return;
+        }
+        try {
+            const words = parseWordFile(fs.readFileSync(this.blockedWordsFile, 'utf8'));
+            this.blockedWords = words;
+            logger.info('shortcode-generator', 'shortcode-generator',
+                `Loaded ${words.length} blocked words from ${this.blockedWordsFile}`);
+        } catch (error) {
+            logger.error('shortcode-generator', 'shortcode-generator',
+                `Failed to read blocked word file ${this.blockedWordsFile}: ${error.message}`);
+        }
+    }
+
+    isReserved(code) {
+        return this.reservedCodes.has(code.toLowerCase());
+    }
+
+    // Generated codes are random, so any blocked word inside one rejects it
+    containsBlockedWord(code) {
+        const lowerCode = code.toLowerCase();
+        return this.blockedWords.some(word => lowerCode.includes(word));
+    }
+
+    // Custom codes are chosen words; only a blocked word as one of them rejects it
+    hasBlockedToken(code) {
+        return tokenize(code).some(token => this.blockedWords.includes(token));
+    }
+
+    // Shortest length from the configured one whose keyspace has room for `used` more codes
+    lengthFor(used) {
+        let length = this.length;
+        while (length < this.maxLength && used > MAX_FILL_RATIO * Math.pow(this.alphabet.length, length)) {
+            length++;
+        }
+        return length;
+    }
+
+    randomCode(length) {
+        let code = '';
+        for (let i = 0; i < length; i++) {
+            code += this.alphabet[crypto.randomInt(this.alphabet.length)];
+        }
+        return code;
+    }
+
+    // A free, unreserved random code, or null if none was found. Every length from
+    // the one the keyspace calls for up to maxLength gets maxAttempts tries.
+    generate() {
+        for (let length = this.lengthFor(this.countUsed()); length <= this.maxLength; length++) {
+            if (length > this.currentLength) {
+                logger.warn('shortcode-generator', 'shortcode-generator',
+                    `Short code keyspace filling up, generating codes of length ${length}`);
+            }
+            this.currentLength = length;
+
+            for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+                const code = this.randomCode(length);
+                if (!this.isReserved(code) && !this.containsBlockedWord(code) && !this.isTaken(code)) {
+                    return code;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Why a custom code can't be used, or null if it can
+    checkCustom(code) {
+        if (typeof code !== 'string' || !CODE_PATTERN.test(code)) {
+            return 'Custom shortcode must contain only alphanumeric characters, hyphens, and underscores';
+        }
+        if (code.length < MIN_LENGTH || code.length > MAX_LENGTH) {
+            return `Custom shortcode must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters`;
+        }
+        if (this.isReserved(code) || this.hasBlockedToken(code)) {
+            return 'Custom shortcode is reserved';
+        }
+        if (this.isTaken(code)) {
+            return 'Custom shortcode already exists';
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    ShortCodeGenerator
+};
@@ -0,0 +1,200 @@
+// File-backed store: an append-only JSON-lines journal replayed into memory on startup
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const { reviveUrl, reviveClick, reviveArchived, reviveAccount, reviveApiKey } = require('./records');
+
+class FileStore extends MemoryStore {
+    constructor({ dataDir }) {
+        super();
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+        this.journalFile = path.join(dataDir, 'urls.jsonl');
+        this.replay();
+        this.compact();
+    }
+
+    // Rebuild the in-memory maps from the journal
+    replay() {
+        if (!fs.existsSync(this.journalFile)) {
+            return;
+        }
+        const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n');
+        lines.forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (_) {
+                // A torn final write after a crash; everything before it is intact
+                return;
+            }
+            this.apply(entry);
+        });
+    }
+
+    apply(entry) {
+        switch (entry.op) {
+            case 'createUrl':
+                super.createUrl(reviveUrl(entry.data));
+                break;
+            case 'updateUrl':
+                super.updateUrl(entry.shortCode, reviveUrl(entry.changes));
+                break;
+            case 'deleteUrl':
+                super.deleteUrl(entry.shortCode);
+                break;
+            case 'recordClick':
+                super.recordClick(entry.shortCode, reviveClick(entry.click));
+                break;
+            case 'setTotalClicks':
+                super.getAnalytics(entry.shortCode).totalClicks = entry.totalClicks;
+                break;
+            case 'archiveUrl':
+                super.archiveUrl(entry.shortCode, new Date(entry.archivedAt));
+                break;
+            case 'createArchived': {
+                const record = reviveArchived(entry.data);
+                this.archive.set(record.id, record);
+                break;
+            }
+            case 'createAccount':
+                super.createAccount(reviveAccount(entry.data));
+                break;
+            case 'updateAccount':
+                super.updateAccount(entry.id, reviveAccount(entry.changes));
+                break;
+            case 'createApiKey':
+                super.createApiKey(reviveApiKey(entry.data));
+                break;
+            case 'updateApiKey':
+                super.updateApiKey(entry.id, reviveApiKey(entry.changes));
+                break;
+            default:
+                break;
+        }
+    }
+
+    append(entry) {
+        fs.appendFileSync(this.journalFile, JSON.stringify(entry) + '\n');
+    }
+
+    // Rewrite the journal as one snapshot so it does not grow without bound across restarts
+    compact() {
+        const tmpFile = `${this.journalFile}.tmp`;
+        const lines = [];
+        this.listAccounts().forEach(account => {
+            lines.push(JSON.stringify({ op: 'createAccount', data: account }));
+        });
+        Array.from(this.apiKeys.values()).forEach(apiKey => {
+            lines.push(JSON.stringify({ op: 'createApiKey', data: apiKey }));
+        });
+        this.listUrls().forEach(urlData => {
+            lines.push(JSON.stringify({ op: 'createUrl', data: urlData }));
+            const analytics = this.getAnalytics(urlData.shortCode);
+            analytics.clicks.forEach(click => {
+                lines.push(JSON.stringify({ op: 'recordClick', shortCode: urlData.shortCode, click }));
+            });
+            // Purged clicks still count towards the total
+            if (analytics.totalClicks > analytics.clicks.length) {
+                lines.push(JSON.stringify({ op: 'setTotalClicks', shortCode: urlData.shortCode, totalClicks: analytics.totalClicks }));
+            }
+        });
+        this.listArchived().forEach(record => {
+            lines.push(JSON.stringify({ op: 'createArchived', data: record }));
+        });
+        fs.writeFileSync(tmpFile, lines.length ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tmpFile, this.journalFile);
+    }
+
+    createUrl(urlData) {
+        this.append({ op: 'createUrl', data: urlData });
+        return super.createUrl(urlData);
+    }
+
+    updateUrl(shortCode, changes) {
+        if (!this.getUrl(shortCode)) {
+            return undefined;
+        }
+        this.append({ op: 'updateUrl', shortCode, changes });
+        return super.updateUrl(shortCode, changes);
+    }
+
+    deleteUrl(shortCode) {
+        if (!this.getUrl(shortCode)) {
+            return false;
+        }
+        this.append({ op: 'deleteUrl', shortCode });
+        return super.deleteUrl(shortCode);
+    }
+
+    recordClick(shortCode, click) {
+        this.append({ op: 'recordClick', shortCode, click });
+        return super.recordClick(shortCode, click);
+    }
+
+    // Purged and erased records must leave the journal too, so both rewrite it
+    purgeClicks(before) {
+        const purged = super.purgeClicks(before);
+        if (purged > 0) {
+            this.compact();
+        }
+        return purged;
+    }
+
+    eraseUrl(shortCode) {
+        const erased = this.deleteUrl(shortCode);
+        if (erased) {
+            this.compact();
+        }
+        return erased;
+    }
+
+    archiveUrl(shortCode, archivedAt) {
+        if (!this.getUrl(shortCode)) {
+            return undefined;
+        }
+        this.append({ op: 'archiveUrl', shortCode, archivedAt });
+        return super.archiveUrl(shortCode, archivedAt);
+    }
+
+    // Erases the archived record from the journal as well
+    deleteArchived(id) {
+        const deleted = super.deleteArchived(id);
+        if (deleted) {
+            this.compact();
+        }
+        return deleted;
+    }
+
+    createAccount(account) {
+        this.append({ op: 'createAccount', data: account });
+        return super.createAccount(account);
+    }
+
+    updateAccount(id, changes) {
+        if (!this.getAccount(id)) {
+            return undefined;
+        }
+        this.append({ op: 'updateAccount', id, changes });
+        return super.updateAccount(id, changes);
+    }
+
+    createApiKey(apiKey) {
+        this.append({ op: 'createApiKey', data: apiKey });
+        return super.createApiKey(apiKey);
+    }
+
+    updateApiKey(id, changes) {
+        if (!this.getApiKey(id)) {
+            return undefined;
+        }
+        this.append({ op: 'updateApiKey', id, changes });
+        return super.updateApiKey(id, changes);
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,80 @@
+// Storage adapter factory
+//
+// Every store implements the same synchronous interface:
+//   createUrl(urlData), getUrl(shortCode), updateUrl(shortCode, changes),
+//   deleteUrl(shortCode), listUrls(), getAnalytics(shortCode), listClickCounts(),
+//   recordClick(shortCode, click), purgeClicks(before), eraseUrl(shortCode),
+//   archiveUrl(shortCode, archivedAt), getArchived(id), listArchived(),
+//   findArchivedByShortCode(shortCode), deleteArchived(id),
+//   createAccount(account), getAccount(id), listAccounts(), updateAccount(id, changes),
+//   createApiKey(apiKey), getApiKey(id), getApiKeyByHash(keyHash),
+//   listApiKeys(accountId), updateApiKey(id, changes)
+// Calls are timed and failures reported through dbLogger.
+const { dbLogger } = require('../server.js');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+const SqliteStore = require('./sqlite-store');
+
+const DRIVERS = {
+    memory: MemoryStore,
+    file: FileStore,
+    sqlite: SqliteStore
+};
+
+// Table each store operation touches, for the dbLogger messages
+const OPERATION_TABLES = {
+    createUrl: 'urls',
+    getUrl: 'urls',
+    updateUrl: 'urls',
+    deleteUrl: 'urls',
+    listUrls: 'urls',
+    getAnalytics: 'clicks',
+    listClickCounts: 'clicks',
+    recordClick: 'clicks',
+    purgeClicks: 'clicks',
+    eraseUrl: 'urls',
+    archiveUrl: 'archived_urls',
+    getArchived: 'archived_urls',
+    listArchived: 'archived_urls',
+    findArchivedByShortCode: 'archived_urls',
+    deleteArchived: 'archived_urls',
+    createAccount: 'accounts',
+    getAccount: 'accounts',
+    listAccounts: 'accounts',
+    updateAccount: 'accounts',
+    createApiKey: 'api_keys',
+    getApiKey: 'api_keys',
+    getApiKeyByHash: 'api_keys',
+    listApiKeys: 'api_keys',
+    updateApiKey: 'api_keys'
+};
+
+function instrument(store) {
+    const instrumented = {};
+    Object.keys(OPERATION_TABLES).forEach(operation => {
+        instrumented[operation] = (...args) => {
+            const start = Date.now();
+            try {
+                const result = store[operation](...args);
+                dbLogger.query(operation, OPERATION_TABLES[operation], Date.now() - start);
+                return result;
+            } catch (error) {
+                dbLogger.error(operation, error.message);
+                throw error;
+            }
+        };
+    });
+    return instrumented;
+}
+
+function createStore(options) {
+    const Driver = DRIVERS[options.driver];
+    if (!Driver) {
+        throw new Error(`Unknown storage driver: ${options.driver}`);
+    }
+    return instrument(new Driver(options));
+}
+
+module.exports = {
+    createStore
+};
@@ -0,0 +1,173 @@
+// In-memory store: fast, but everything is lost on restart
+const { emptyAnalytics } = require('./records');
+
+class MemoryStore {
+    constructor() {
+        this.urlDatabase = new Map();
+        this.clickAnalytics = new Map();
+        // Expired links moved out of urlDatabase, keyed by the link's id
+        this.archive = new Map();
+        this.accounts = new Map();
+        this.apiKeys = new Map();
+    }
+
+    createUrl(urlData) {
+        this.urlDatabase.set(urlData.shortCode, urlData);
+        this.clickAnalytics.set(urlData.shortCode, emptyAnalytics());
+        return urlData;
+    }
+
+    getUrl(shortCode) {
+        return this.urlDatabase.get(shortCode);
+    }
+
+    updateUrl(shortCode, changes) {
+        const urlData = this.urlDatabase.get(shortCode);
+        if (!urlData) {
+            return undefined;
+        }
+        const updated = { ...urlData, ...changes };
+        this.urlDatabase.set(shortCode, updated);
+        return updated;
+    }
+
+    deleteUrl(shortCode) {
+        this.clickAnalytics.delete(shortCode);
+        return this.urlDatabase.delete(shortCode);
+    }
+
+    listUrls() {
+        return Array.from(this.urlDatabase.values());
+    }
+
+    getAnalytics(shortCode) {
+        return this.clickAnalytics.get(shortCode) || emptyAnalytics();
+    }
+
+    // { totalClicks, botClicks } of every stored URL, keyed by short code
+    listClickCounts() {
+        const counts = {};
+        this.clickAnalytics.forEach((analytics, shortCode) => {
+            counts[shortCode] = {
+                totalClicks: analytics.totalClicks,
+                botClicks: analytics.clicks.filter(click => click.isBot).length
+            };
+        });
+        return counts;
+    }
+
+    recordClick(shortCode, click) {
+        if (!this.clickAnalytics.has(shortCode)) {
+            this.clickAnalytics.set(shortCode, emptyAnalytics());
+        }
+        const analytics = this.clickAnalytics.get(shortCode);
+        analytics.totalClicks++;
+        analytics.clicks.push(click);
+        return analytics;
+    }
+
+    // Drop the details of clicks recorded before `before`; totalClicks keeps counting
+    // them so click limits still hold. Returns the number of clicks removed.
+    purgeClicks(before) {
+        let purged = 0;
+        const analyticsList = [
+            ...this.clickAnalytics.values(),
+            ...Array.from(this.archive.values()).map(record => record.analytics)
+        ];
+        analyticsList.forEach(analytics => {
+            const kept = analytics.clicks.filter(click => click.timestamp >= before);
+            purged += analytics.clicks.length - kept.length;
+            analytics.clicks = kept;
+        });
+        return purged;
+    }
+
+    // Delete a URL and its analytics without leaving a copy behind in storage
+    eraseUrl(shortCode) {
+        return this.deleteUrl(shortCode);
+    }
+
+    // Move a URL and its analytics into the archive; returns the archived record
+    archiveUrl(shortCode, archivedAt) {
+        const url = this.urlDatabase.get(shortCode);
+        if (!url) {
+            return undefined;
+        }
+        const record = { id: url.id, shortCode, url, analytics: this.getAnalytics(shortCode), archivedAt };
+        this.archive.set(record.id, record);
+        this.urlDatabase.delete(shortCode);
+        this.clickAnalytics.delete(shortCode);
+        return record;
+    }
+
+    getArchived(id) {
+        return this.archive.get(id);
+    }
+
+    listArchived() {
+        return Array.from(this.archive.values());
+    }
+
+    // Most recently archived link that used `shortCode`
+    findArchivedByShortCode(shortCode) {
+        return this.listArchived()
+            .filter(record => record.shortCode === shortCode)
+            .sort((a, b) => b.archivedAt - a.archivedAt)[0];
+    }
+
+    deleteArchived(id) {
+        return this.archive.delete(id);
+    }
+
+    createAccount(account) {
+        this.accounts.set(account.id, account);
+        return account;
+    }
+
+    getAccount(id) {
+        return this.accounts.get(id);
+    }
+
+    listAccounts() {
+        return Array.from(this.accounts.values());
+    }
+
+    updateAccount(id, changes) {
+        const account = this.accounts.get(id);
+        if (!account) {
+            return undefined;
+        }
+        const updated = { ...account, ...changes };
+        this.accounts.set(id, updated);
+        return updated;
+    }
+
+    createApiKey(apiKey) {
+        this.apiKeys.set(apiKey.id, apiKey);
+        return apiKey;
+    }
+
+    getApiKey(id) {
+        return this.apiKeys.get(id);
+    }
+
+    getApiKeyByHash(keyHash) {
+        return Array.from(this.apiKeys.values()).find(apiKey => apiKey.keyHash === keyHash);
+    }
+
+    listApiKeys(accountId) {
+        return Array.from(this.apiKeys.values()).filter(apiKey => apiKey.accountId === accountId);
+    }
+
+    updateApiKey(id, changes) {
+        const apiKey = this.apiKeys.get(id);
+        if (!apiKey) {
+            return undefined;
+        }
+        const updated = { ...apiKey, ...changes };
+        this.apiKeys.set(id, updated);
+        return updated;
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,57 @@
+// Helpers for turning persisted JSON back into the in-memory record shapes
+
+const URL_DATE_FIELDS = ['createdAt', 'activeFrom', 'expiryDate', 'expiredAt'];
+const ACCOUNT_DATE_FIELDS = ['createdAt'];
+const API_KEY_DATE_FIELDS = ['createdAt', 'revokedAt'];
+
+function reviveDates(data, fields) {
+    const record = { ...data };
+    fields.forEach(field => {
+        if (record[field]) {
+            record[field] = new Date(record[field]);
+        }
+    });
+    return record;
+}
+
+function reviveUrl(data) {
+    return reviveDates(data, URL_DATE_FIELDS);
+}
+
+function reviveClick(data) {
+    return { ...data, timestamp: new Date(data.timestamp) };
+}
+
+// Archived link: { id, shortCode, url, analytics, archivedAt }
+function reviveArchived(data) {
+    return {
+        ...data,
+        url: reviveUrl(data.url),
+        analytics: {
+            totalClicks: data.analytics.totalClicks,
+            clicks: data.analytics.clicks.map(reviveClick)
+        },
+        archivedAt: new Date(data.archivedAt)
+    };
+}
+
+function reviveAccount(data) {
+    return reviveDates(data, ACCOUNT_DATE_FIELDS);
+}
+
+function reviveApiKey(data) {
+    return reviveDates(data, API_KEY_DATE_FIELDS);
+}
+
+function emptyAnalytics() {
+    return { totalClicks: 0, clicks: [] };
+}
+
+module.exports = {
+    reviveUrl,
+    reviveClick,
+    reviveArchived,
+    reviveAccount,
+    reviveApiKey,
+    emptyAnalytics
+};
@@ -0,0 +1,268 @@
+// Embedded SQLite store backed by better-sqlite3
+const fs = require('fs');
+const path = require('path');
+const { reviveUrl, reviveClick, reviveArchived, reviveAccount, reviveApiKey } = require('./records');
+
+class SqliteStore {
+    constructor({ dataDir }) {
+        // Loaded lazily so the native module is only needed when this driver is selected
+        const Database = require('better-sqlite3');
+
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+        this.db = new Database(path.join(dataDir, 'urls.sqlite'));
+        this.db.pragma('journal_mode = WAL');
+        // Overwrite deleted content instead of leaving it in free pages
+        this.db.pragma('secure_delete = ON');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS urls (
+                short_code TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS clicks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                short_code TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_clicks_short_code ON clicks (short_code);
+            CREATE TABLE IF NOT EXISTS purged_clicks (
+                short_code TEXT PRIMARY KEY,
+                count INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS archived_urls (
+                id TEXT PRIMARY KEY,
+                short_code TEXT NOT NULL,
+                archived_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_archived_urls_short_code ON archived_urls (short_code);
+            CREATE TABLE IF NOT EXISTS accounts (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                account_id TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                data TEXT NOT NULL
+            );
+        `);
+
+        this.statements = {
+            insertUrl: this.db.prepare('INSERT INTO urls (short_code, data) VALUES (?, ?)'),
+            getUrl: this.db.prepare('SELECT data FROM urls WHERE short_code = ?'),
+            updateUrl: this.db.prepare('UPDATE urls SET data = ? WHERE short_code = ?'),
+            deleteUrl: this.db.prepare('DELETE FROM urls WHERE short_code = ?'),
+            deleteClicks: this.db.prepare('DELETE FROM clicks WHERE short_code = ?'),
+            listUrls: this.db.prepare('SELECT data FROM urls ORDER BY rowid'),
+            insertClick: this.db.prepare('INSERT INTO clicks (short_code, data) VALUES (?, ?)'),
+            listClicks: this.db.prepare('SELECT data FROM clicks WHERE short_code = ? ORDER BY id'),
+            getPurgedCount: this.db.prepare('SELECT count FROM purged_clicks WHERE short_code = ?'),
+            countClicks: this.db.prepare(`
+                SELECT short_code, COUNT(*) AS total,
+                    COUNT(CASE WHEN json_extract(data, '$.isBot') = 1 THEN 1 END) AS bots
+                FROM clicks GROUP BY short_code
+            `),
+            listPurgedCounts: this.db.prepare('SELECT short_code, count FROM purged_clicks'),
+            countPurgedClicks: this.db.prepare(`
+                INSERT INTO purged_clicks (short_code, count)
+                SELECT short_code, COUNT(*) FROM clicks WHERE json_extract(data, '$.timestamp') < ? GROUP BY short_code
+                ON CONFLICT (short_code) DO UPDATE SET count = count + excluded.count
+            `),
+            purgeClicks: this.db.prepare("DELETE FROM clicks WHERE json_extract(data, '$.timestamp') < ?"),
+            deletePurgedCount: this.db.prepare('DELETE FROM purged_clicks WHERE short_code = ?'),
+            insertArchived: this.db.prepare('INSERT INTO archived_urls (id, short_code, archived_at, data) VALUES (?, ?, ?, ?)'),
+            getArchived: this.db.prepare('SELECT data FROM archived_urls WHERE id = ?'),
+            listArchived: this.db.prepare('SELECT data FROM archived_urls ORDER BY rowid'),
+            findArchivedByShortCode: this.db.prepare('SELECT data FROM archived_urls WHERE short_code = ? ORDER BY archived_at DESC LIMIT 1'),
+            updateArchived: this.db.prepare('UPDATE archived_urls SET data = ? WHERE id = ?'),
+            deleteArchived: this.db.prepare('DELETE FROM archived_urls WHERE id = ?'),
+            insertAccount: this.db.prepare('INSERT INTO accounts (id, data) VALUES (?, ?)'),
+            getAccount: this.db.prepare('SELECT data FROM accounts WHERE id = ?'),
+            listAccounts: this.db.prepare('SELECT data FROM accounts ORDER BY rowid'),
+            updateAccount: this.db.prepare('UPDATE accounts SET data = ? WHERE id = ?'),
+            insertApiKey: this.db.prepare('INSERT INTO api_keys (id, account_id, key_hash, data) VALUES (?, ?, ?, ?)'),
+            getApiKey: this.db.prepare('SELECT data FROM api_keys WHERE id = ?'),
+            getApiKeyByHash: this.db.prepare('SELECT data FROM api_keys WHERE key_hash = ?'),
+            listApiKeys: this.db.prepare('SELECT data FROM api_keys WHERE account_id = ? ORDER BY rowid'),
+            updateApiKey: this.db.prepare('UPDATE api_keys SET data = ? WHERE id = ?')
+        };
+
+        this.deleteUrlTransaction = this.db.transaction(shortCode => {
+            this.statements.deleteClicks.run(shortCode);
+            this.statements.deletePurgedCount.run(shortCode);
+            return this.statements.deleteUrl.run(shortCode).changes > 0;
+        });
+
+        // Click timestamps are stored as ISO strings, which sort chronologically
+        this.purgeClicksTransaction = this.db.transaction(before => {
+            this.statements.countPurgedClicks.run(before);
+            let purged = this.statements.purgeClicks.run(before).changes;
+            // Archived clicks live inside the archived record
+            this.listArchived().forEach(record => {
+                const kept = record.analytics.clicks.filter(click => click.timestamp.toISOString() >= before);
+                if (kept.length < record.analytics.clicks.length) {
+                    purged += record.analytics.clicks.length - kept.length;
+                    record.analytics.clicks = kept;
+                    this.statements.updateArchived.run(JSON.stringify(record), record.id);
+                }
+            });
+            return purged;
+        });
+
+        this.archiveUrlTransaction = this.db.transaction((shortCode, archivedAt) => {
+            const url = this.getUrl(shortCode);
+            if (!url) {
+                return undefined;
+            }
+            const record = { id: url.id, shortCode, url, analytics: this.getAnalytics(shortCode), archivedAt };
+            this.statements.insertArchived.run(record.id, shortCode, archivedAt.toISOString(), JSON.stringify(record));
+            this.deleteUrlTransaction(shortCode);
+            return record;
+        });
+    }
+
+    createUrl(urlData) {
+        this.statements.insertUrl.run(urlData.shortCode, JSON.stringify(urlData));
+        return urlData;
+    }
+
+    getUrl(shortCode) {
+        const row = this.statements.getUrl.get(shortCode);
+        return row ? reviveUrl(JSON.parse(row.data)) : undefined;
+    }
+
+    updateUrl(shortCode, changes) {
+        const urlData = this.getUrl(shortCode);
+        if (!urlData) {
+            return undefined;
+        }
+        const updated = { ...urlData, ...changes };
+        this.statements.updateUrl.run(JSON.stringify(updated), shortCode);
+        return updated;
+    }
+
+    deleteUrl(shortCode) {
+        return this.deleteUrlTransaction(shortCode);
+    }
+
+    listUrls() {
+        return this.statements.listUrls.all().map(row => reviveUrl(JSON.parse(row.data)));
+    }
+
+    getAnalytics(shortCode) {
+        const clicks = this.statements.listClicks.all(shortCode)
+            .map(row => reviveClick(JSON.parse(row.data)));
+        const purged = this.statements.getPurgedCount.get(shortCode);
+        return { totalClicks: clicks.length + (purged ? purged.count : 0), clicks };
+    }
+
+    // One pass over each click table instead of a getAnalytics() per URL
+    listClickCounts() {
+        const counts = {};
+        this.statements.countClicks.all().forEach(row => {
+            counts[row.short_code] = { totalClicks: row.total, botClicks: row.bots };
+        });
+        this.statements.listPurgedCounts.all().forEach(row => {
+            const entry = counts[row.short_code] || (counts[row.short_code] = { totalClicks: 0, botClicks: 0 });
+            entry.totalClicks += row.count;
+        });
+        return counts;
+    }
+
+    recordClick(shortCode, click) {
+        this.statements.insertClick.run(shortCode, JSON.stringify(click));
+        return this.getAnalytics(shortCode);
+    }
+
+    purgeClicks(before) {
+        return this.purgeClicksTransaction(before.toISOString());
+    }
+
+    eraseUrl(shortCode) {
+        const erased = this.deleteUrl(shortCode);
+        // Move the deleted pages out of the write-ahead log as well
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+        return erased;
+    }
+
+    archiveUrl(shortCode, archivedAt) {
+        return this.archiveUrlTransaction(shortCode, archivedAt);
+    }
+
+    getArchived(id) {
+        const row = this.statements.getArchived.get(id);
+        return row ? reviveArchived(JSON.parse(row.data)) : undefined;
+    }
+
+    listArchived() {
+        return this.statements.listArchived.all().map(row => reviveArchived(JSON.parse(row.data)));
+    }
+
+    findArchivedByShortCode(shortCode) {
+        const row = this.statements.findArchivedByShortCode.get(shortCode);
+        return row ? reviveArchived(JSON.parse(row.data)) : undefined;
+    }
+
+    deleteArchived(id) {
+        const deleted = this.statements.deleteArchived.run(id).changes > 0;
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+        return deleted;
+    }
+
+    createAccount(account) {
+        this.statements.insertAccount.run(account.id, JSON.stringify(account));
+        return account;
+    }
+
+    getAccount(id) {
+        const row = this.statements.getAccount.get(id);
+        return row ? reviveAccount(JSON.parse(row.data)) : undefined;
+    }
+
+    listAccounts() {
+        return this.statements.listAccounts.all().map(row => reviveAccount(JSON.parse(row.data)));
+    }
+
+    updateAccount(id, changes) {
+        const account = this.getAccount(id);
+        if (!account) {
+            return undefined;
+        }
+        const updated = { ...account, ...changes };
+        this.statements.updateAccount.run(JSON.stringify(updated), id);
+        return updated;
+    }
+
+    createApiKey(apiKey) {
+        this.statements.insertApiKey.run(apiKey.id, apiKey.accountId, apiKey.keyHash, JSON.stringify(apiKey));
+        return apiKey;
+    }
+
+    getApiKey(id) {
+        const row = this.statements.getApiKey.get(id);
+        return row ? reviveApiKey(JSON.parse(row.data)) : undefined;
+    }
+
+    getApiKeyByHash(keyHash) {
+        const row = this.statements.getApiKeyByHash.get(keyHash);
+        return row ? reviveApiKey(JSON.parse(row.data)) : undefined;
+    }
+
+    listApiKeys(accountId) {
+        return this.statements.listApiKeys.all(accountId).map(row => reviveApiKey(JSON.parse(row.data)));
+    }
+
+    updateApiKey(id, changes) {
+        const apiKey = this.getApiKey(id);
+        if (!apiKey) {
+            return undefined;
+        }
+        const updated = { ...apiKey, ...changes };
+        this.statements.updateApiKey.run(JSON.stringify(updated), id);
+        return updated;
+    }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,74 @@
+// DestinationPolicy: allow/deny precedence, and the checks no allow rule can lift
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// destination-policy.js logs through server.js; keep its log files and shipping out of the way
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'destination-policy-logs-'));
+process.env.LOG_DIR = logDir;
+process.env.LOG_SHIPPING_URL = '';
+process.env.LOG_LEVEL = 'ERROR';
+const { DestinationPolicy } = require('../destination-policy.js');
+
+// Policy for `rules` (list file lines) answering on sho.rt; returns the reason
+// code check() gives a URL, or null when it may be shortened
+function reasonFor(t, rules) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'destination-policy-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const listFile = path.join(dir, 'destination-list.txt');
+    fs.writeFileSync(listFile, rules.join('\n'));
+
+    const policy = new DestinationPolicy({ shortDomains: ['sho.rt'], listFile });
+    return (url, options) => {
+        const result = policy.check(url, options);
+        return result && result.reason;
+    };
+}
+
+test('DestinationPolicy', async (t) => {
+    t.after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+
+    await t.test('denies a domain and its subdomains', (t) => {
+        const reason = reasonFor(t, ['deny phishy.example']);
+        assert.strictEqual(reason('https://phishy.example/login'), 'DENYLISTED_DOMAIN');
+        assert.strictEqual(reason('https://www.phishy.example/'), 'DENYLISTED_DOMAIN');
+        assert.strictEqual(reason('https://notphishy.example/'), null);
+    });
+
+    await t.test('lets the most specific rule win, deny on a tie', (t) => {
+        const reason = reasonFor(t, [
+            'deny phishy.example',
+            'allow safe.phishy.example',
+            'allow okay.example',
+            'deny bad.okay.example',
+            'allow tied.example',
+            'deny tied.example'
+        ]);
+        assert.strictEqual(reason('https://safe.phishy.example/'), null);
+        assert.strictEqual(reason('https://phishy.example/'), 'DENYLISTED_DOMAIN');
+        assert.strictEqual(reason('https://okay.example/'), null);
+        assert.strictEqual(reason('https://bad.okay.example/'), 'DENYLISTED_DOMAIN');
+        assert.strictEqual(reason('https://tied.example/'), 'DENYLISTED_DOMAIN');
+    });
+
+    await t.test('exempts a shortener only through an allow rule of its own', (t) => {
+        const reason = reasonFor(t, ['allow bit.ly', 'allow com', 'allow ly']);
+        assert.strictEqual(reason('https://bit.ly/abc'), null);
+        assert.strictEqual(reason('https://ow.ly/abc'), 'NESTED_SHORTENER');
+        assert.strictEqual(reason('https://tinyurl.com/abc'), 'NESTED_SHORTENER');
+    });
+
+    await t.test('refuses self links and private addresses whatever is allowed', (t) => {
+        const reason = reasonFor(t, ['allow sho.rt', 'allow example.org', 'allow localhost']);
+        assert.strictEqual(reason('https://sho.rt/abc'), 'SELF_REFERENCE');
+        assert.strictEqual(reason('https://example.org/abc', { requestHost: 'example.org' }), 'SELF_REFERENCE');
+        assert.strictEqual(reason('http://localhost/'), 'INTERNAL_HOST');
+        assert.strictEqual(reason('http://127.0.0.1/'), 'LOOPBACK_HOST');
+        assert.strictEqual(reason('http://[64:ff9b::7f00:1]/'), 'LOOPBACK_HOST');
+        assert.strictEqual(reason('http://[2002:c0a8:101::1]/'), 'PRIVATE_HOST');
+        assert.strictEqual(reason('http://224.0.0.1/'), 'MULTICAST_HOST');
+        assert.strictEqual(reason('http://[64:ff9b::808:808]/'), null);
+    });
+});
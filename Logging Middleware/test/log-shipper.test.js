@@ -0,0 +1,130 @@
+// LogShipper against a local stand-in collector: batching, payload formats, the
+// 503 -> spool path and replay of the spool after a restart
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { LogShipper } = require('../log-shipper.js');
+
+// Collector answering every POST with `status` and recording the parsed bodies
+async function startCollector() {
+    const collector = { status: 200, bodies: [] };
+    collector.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            collector.bodies.push(JSON.parse(body));
+            res.statusCode = collector.status;
+            res.end();
+        });
+    });
+    await new Promise(resolve => collector.server.listen(0, '127.0.0.1', resolve));
+    collector.endpoint = `http://127.0.0.1:${collector.server.address().port}/logs`;
+    return collector;
+}
+
+// A collector and spool file of its own for one subtest, cleaned up when it ends
+async function setup(t) {
+    const collector = await startCollector();
+    const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-shipper-'));
+    t.after(() => {
+        collector.server.close();
+        fs.rmSync(spoolDir, { recursive: true, force: true });
+    });
+    return { collector, spoolFile: path.join(spoolDir, 'spool.ndjson') };
+}
+
+function shipperOptions(endpoint, spoolFile, overrides = {}) {
+    return {
+        endpoint,
+        payload: 'batch',
+        batchSize: 3,
+        flushIntervalMs: 60000,
+        requestTimeoutMs: 2000,
+        maxRetries: 1,
+        retryBaseDelayMs: 1,
+        // Also how long a failed delivery keeps an idle flush from retrying the spool
+        retryMaxDelayMs: 60000,
+        maxBufferSize: 100,
+        spoolFile,
+        maxSpoolBytes: 1024 * 1024,
+        ...overrides
+    };
+}
+
+function entry(index) {
+    return {
+        timestamp: new Date(0).toISOString(),
+        stack: 'test',
+        level: 'info',
+        package: 'log-shipper',
+        message: `entry ${index}`,
+        requestId: `req-${index}`
+    };
+}
+
+test('LogShipper', async (t) => {
+    await t.test('posts a full batch as one array', async (t) => {
+        const { collector, spoolFile } = await setup(t);
+        const shipper = new LogShipper(shipperOptions(collector.endpoint, spoolFile));
+        [1, 2, 3, 4].forEach(index => shipper.enqueue(entry(index)));
+        await shipper.flush();
+        await shipper.close();
+
+        assert.deepStrictEqual(collector.bodies, [
+            [entry(1), entry(2), entry(3)],
+            [entry(4)]
+        ]);
+        assert.strictEqual(shipper.stats.shipped, 4);
+    });
+
+    await t.test('posts one collector-shaped object per entry by default', async (t) => {
+        const { collector, spoolFile } = await setup(t);
+        const shipper = new LogShipper(shipperOptions(collector.endpoint, spoolFile, { payload: 'entry' }));
+        [1, 2].forEach(index => shipper.enqueue(entry(index)));
+        await shipper.flush();
+        await shipper.close();
+
+        assert.deepStrictEqual(collector.bodies, [1, 2].map(index => ({
+            stack: 'test',
+            level: 'info',
+            package: 'log-shipper',
+            message: `entry ${index}`
+        })));
+    });
+
+    await t.test('spools batches the collector keeps answering 503 to', async (t) => {
+        const { collector, spoolFile } = await setup(t);
+        collector.status = 503;
+        const shipper = new LogShipper(shipperOptions(collector.endpoint, spoolFile));
+        [1, 2, 3].forEach(index => shipper.enqueue(entry(index)));
+        await shipper.flush();
+        await shipper.close();
+
+        // First attempt and one retry
+        assert.strictEqual(collector.bodies.length, 2);
+        assert.strictEqual(shipper.stats.failedBatches, 1);
+        assert.strictEqual(shipper.stats.spooled, 3);
+        const spooled = fs.readFileSync(spoolFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(spooled, [entry(1), entry(2), entry(3)]);
+    });
+
+    await t.test('replays the spool after a restart', async (t) => {
+        const { collector, spoolFile } = await setup(t);
+        // Left behind by an earlier run that could not reach the collector
+        fs.writeFileSync(spoolFile, [1, 2, 3].map(index => JSON.stringify(entry(index)) + '\n').join(''));
+
+        const shipper = new LogShipper(shipperOptions(collector.endpoint, spoolFile)).start();
+        shipper.enqueue(entry(4));
+        await shipper.flush();
+        await shipper.close();
+
+        assert.deepStrictEqual(collector.bodies, [[entry(1), entry(2), entry(3)], [entry(4)]]);
+        assert.strictEqual(fs.existsSync(spoolFile), false);
+        assert.strictEqual(fs.existsSync(`${spoolFile}.replay`), false);
+    });
+});
@@ -0,0 +1,55 @@
+// TokenBucket: bursts up to the capacity, then refills at the configured rate
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// rate-limit.js logs through server.js; keep its log files and shipping out of the way
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-logs-'));
+process.env.LOG_DIR = logDir;
+process.env.LOG_SHIPPING_URL = '';
+process.env.LOG_LEVEL = 'ERROR';
+const { TokenBucket } = require('../rate-limit.js');
+
+test('TokenBucket', async (t) => {
+    t.after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+
+    await t.test('refuses requests once the burst is spent', (t) => {
+        t.mock.method(Date, 'now', () => 0);
+        const bucket = new TokenBucket({ capacity: 3, refillPerMinute: 60 });
+
+        assert.deepStrictEqual([1, 2, 3, 4].map(() => bucket.take('ip:a').allowed), [true, true, true, false]);
+        assert.strictEqual(bucket.take('ip:b').allowed, true);
+    });
+
+    await t.test('refills at the configured rate up to the capacity', (t) => {
+        let now = 0;
+        t.mock.method(Date, 'now', () => now);
+        const bucket = new TokenBucket({ capacity: 3, refillPerMinute: 60 });
+        [1, 2, 3].forEach(() => bucket.take('ip:a'));
+
+        const refused = bucket.take('ip:a');
+        assert.strictEqual(refused.allowed, false);
+        assert.strictEqual(refused.retryAfterSeconds, 1);
+        assert.strictEqual(refused.resetSeconds, 3);
+
+        now = 1000;
+        assert.strictEqual(bucket.take('ip:a').allowed, true);
+        assert.strictEqual(bucket.take('ip:a').allowed, false);
+
+        now = 60 * 1000;
+        assert.strictEqual(bucket.tokens('ip:a'), 3);
+    });
+
+    await t.test('charges a request its cost', (t) => {
+        t.mock.method(Date, 'now', () => 0);
+        const bucket = new TokenBucket({ capacity: 5, refillPerMinute: 60 });
+
+        assert.deepStrictEqual(bucket.take('key:a', 4), { allowed: true, remaining: 1, resetSeconds: 4, retryAfterSeconds: 0 });
+        const refused = bucket.take('key:a', 2);
+        assert.strictEqual(refused.allowed, false);
+        assert.strictEqual(refused.remaining, 1);
+        assert.strictEqual(refused.retryAfterSeconds, 1);
+    });
+});
@@ -0,0 +1,84 @@
+// Storage drivers: records survive a round trip (and a reopen, for the persistent
+// drivers) and eraseUrl leaves nothing of the link behind
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('../storage/memory-store.js');
+const FileStore = require('../storage/file-store.js');
+const SqliteStore = require('../storage/sqlite-store.js');
+
+const DRIVERS = [
+    { name: 'memory', Driver: MemoryStore, persistent: false },
+    { name: 'file', Driver: FileStore, persistent: true },
+    { name: 'sqlite', Driver: SqliteStore, persistent: true }
+];
+
+const DESTINATION = 'https://example.com/erase-me';
+
+function urlRecord(shortCode) {
+    return {
+        id: `id-${shortCode}`,
+        shortCode,
+        originalUrl: DESTINATION,
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+        expiryDate: new Date('2026-01-02T00:00:00Z'),
+        isActive: true
+    };
+}
+
+function click(isBot) {
+    return { timestamp: new Date('2026-01-01T12:00:00Z'), userAgent: 'test', isBot };
+}
+
+// Every file under `dir`, concatenated, to look for leftovers of an erased link
+function readAll(dir) {
+    return fs.readdirSync(dir)
+        .map(name => fs.readFileSync(path.join(dir, name)).toString('latin1'))
+        .join('');
+}
+
+// Fresh data directory for one subtest, removed when it ends
+function tempDir(t, name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-store-`));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+DRIVERS.forEach(({ name, Driver, persistent }) => {
+    test(`${name} store`, async (t) => {
+        await t.test('round-trips URLs and clicks', (t) => {
+            const dataDir = tempDir(t, name);
+            const store = new Driver({ dataDir });
+            store.createUrl(urlRecord('abc'));
+            store.recordClick('abc', click(false));
+            store.recordClick('abc', click(true));
+
+            const reopened = persistent ? new Driver({ dataDir }) : store;
+            assert.deepStrictEqual(reopened.getUrl('abc'), urlRecord('abc'));
+            assert.deepStrictEqual(reopened.getAnalytics('abc'), {
+                totalClicks: 2,
+                clicks: [click(false), click(true)]
+            });
+            assert.deepStrictEqual(reopened.listClickCounts(), { abc: { totalClicks: 2, botClicks: 1 } });
+        });
+
+        await t.test('erases a URL and its clicks', (t) => {
+            const dataDir = tempDir(t, name);
+            const store = new Driver({ dataDir });
+            store.createUrl(urlRecord('gone'));
+            store.recordClick('gone', click(false));
+
+            assert.strictEqual(store.eraseUrl('gone'), true);
+            assert.strictEqual(store.getUrl('gone'), undefined);
+            assert.deepStrictEqual(store.getAnalytics('gone'), { totalClicks: 0, clicks: [] });
+            assert.strictEqual(store.eraseUrl('gone'), false);
+
+            if (persistent) {
+                assert.strictEqual(new Driver({ dataDir }).getUrl('gone'), undefined);
+                assert.ok(!readAll(dataDir).includes(DESTINATION));
+            }
+        });
+    });
+});
@@ -0,0 +1,89 @@
+// User-Agent classification: browser, OS, device type and known crawlers/bots
+
+// Link unfurlers, search engines and other automated clients, checked in order
+const KNOWN_BOTS = [
+    ['Slackbot', /Slackbot/i],
+    ['Discordbot', /Discordbot/i],
+    ['Facebook', /facebookexternalhit|Facebot|meta-externalagent/i],
+    ['WhatsApp', /WhatsApp/i],
+    ['TelegramBot', /TelegramBot/i],
+    ['Twitterbot', /Twitterbot/i],
+    ['LinkedInBot', /LinkedInBot/i],
+    ['Skype', /SkypeUriPreview/i],
+    ['Microsoft Teams', /MicrosoftPreview|Teams\/[\d.]+.*Preview/i],
+    ['Googlebot', /Googlebot|Google-InspectionTool|AdsBot-Google/i],
+    ['Bingbot', /bingbot|BingPreview/i],
+    ['Applebot', /Applebot/i],
+    ['DuckDuckBot', /DuckDuckBot/i],
+    ['YandexBot', /YandexBot/i],
+    ['Baiduspider', /Baiduspider/i],
+    ['Pinterest', /Pinterestbot|Pinterest\/[\d.]+/i],
+    ['Embedly', /Embedly/i],
+    ['Headless Chrome', /HeadlessChrome/i],
+    ['Generic bot', /bot\b|crawler|spider|crawling|preview/i]
+];
+
+// Checked in order: more specific tokens first (Edge and Opera also claim Chrome)
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+    ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+    ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+    ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+    ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+    ['Safari', /Version\/([\d.]+).*Safari\//],
+    ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/],
+    ['curl', /curl\/([\d.]+)/],
+    ['Wget', /Wget\/([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Macintosh|Mac OS X/],
+    ['Chrome OS', /CrOS/],
+    ['Linux', /Linux/]
+];
+
+function matchFirst(userAgent, patterns) {
+    for (const [name, pattern] of patterns) {
+        const match = userAgent.match(pattern);
+        if (match) {
+            return { name, version: match[1] || null };
+        }
+    }
+    return null;
+}
+
+function getDeviceType(userAgent, os) {
+    if (/iPad|Tablet/i.test(userAgent) || (os === 'Android' && !/Mobile/i.test(userAgent))) {
+        return 'tablet';
+    }
+    if (/Mobi|iPhone|iPod/i.test(userAgent)) {
+        return 'mobile';
+    }
+    return os ? 'desktop' : 'unknown';
+}
+
+// Classify a User-Agent header into
+//   { browser, browserVersion, os, deviceType, isBot, botName }
+// where deviceType is 'desktop', 'mobile', 'tablet', 'bot' or 'unknown'
+function parseUserAgent(userAgent) {
+    const ua = typeof userAgent === 'string' && userAgent !== 'unknown' ? userAgent : '';
+    const bot = ua ? matchFirst(ua, KNOWN_BOTS) : null;
+    const browser = matchFirst(ua, BROWSERS);
+    const os = matchFirst(ua, OPERATING_SYSTEMS);
+
+    return {
+        browser: browser ? browser.name : 'Unknown',
+        browserVersion: browser ? browser.version : null,
+        os: os ? os.name : 'Unknown',
+        deviceType: bot ? 'bot' : getDeviceType(ua, os && os.name),
+        isBot: Boolean(bot),
+        botName: bot ? bot.name : null
+    };
+}
+
+module.exports = {
+    parseUserAgent
+};